@@ -10,7 +10,34 @@ CREATE TABLE IF NOT EXISTS contacts (
   phone VARCHAR(50) NOT NULL,
   email VARCHAR(255) NOT NULL,
   postalCode VARCHAR(10) NOT NULL,
-  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+  normalizedEmail VARCHAR(255),
+  normalizedPhone VARCHAR(50),
+  inServiceArea BOOLEAN DEFAULT FALSE,
+  region VARCHAR(100),
+  status ENUM('new', 'contacted', 'qualified', 'scheduled', 'converted', 'lost') NOT NULL DEFAULT 'new',
+  assignedTo INT,
+  duplicateOf INT,
+  submissionCount INT DEFAULT 1,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  lastSubmittedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_contacts_status (status),
+  INDEX idx_contacts_assigned (assignedTo),
+  INDEX idx_contacts_normalized_email (normalizedEmail),
+  INDEX idx_contacts_normalized_phone (normalizedPhone),
+  -- Deleting a lead keeps its repeat submissions
+  CONSTRAINT fk_contacts_duplicate FOREIGN KEY (duplicateOf) REFERENCES contacts(id) ON DELETE SET NULL
+);
+
+-- Service areas (postal codes we cover, grouped by region)
+CREATE TABLE IF NOT EXISTS service_areas (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  postalCode VARCHAR(10) UNIQUE NOT NULL,
+  region VARCHAR(100) NOT NULL,
+  coordinatorEmail VARCHAR(255) NOT NULL,
+  active BOOLEAN DEFAULT TRUE,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
 -- Reviews table
@@ -20,8 +47,62 @@ CREATE TABLE IF NOT EXISTS reviews (
   email VARCHAR(255) NOT NULL,
   rating TINYINT NOT NULL,
   comment TEXT NOT NULL,
+  originalComment TEXT,
+  flagged BOOLEAN DEFAULT FALSE,
+  screeningFlags JSON,
+  locale VARCHAR(5) DEFAULT 'es',
+  verified BOOLEAN DEFAULT FALSE,
+  verifiedAt DATETIME,
+  verificationTokenHash CHAR(64),
+  verificationExpiresAt DATETIME,
   approved BOOLEAN DEFAULT FALSE,
+  status ENUM('pending', 'approved', 'rejected', 'hidden') NOT NULL DEFAULT 'pending',
+  rejectionReason TEXT,
+  moderatedBy INT,
+  moderatedAt DATETIME,
+  replyText TEXT,
+  replyAuthorId INT,
+  replyCreatedAt DATETIME,
+  replyUpdatedAt DATETIME,
   createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_reviews_status (status),
+  UNIQUE KEY uq_reviews_verification_token (verificationTokenHash)
+);
+
+-- Spam log (rejected public form submissions)
+CREATE TABLE IF NOT EXISTS spam_log (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  form ENUM('contact', 'review') NOT NULL,
+  reason VARCHAR(50) NOT NULL,
+  ip VARCHAR(45),
+  email VARCHAR(255),
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_spam_log_created (createdAt)
+);
+
+-- Email outbox (queued outbound emails, sent and retried by the mail worker)
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  template VARCHAR(100) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(500) NOT NULL,
+  html LONGTEXT NOT NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  maxAttempts INT NOT NULL DEFAULT 5,
+  lastError TEXT,
+  nextAttemptAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  sentAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_email_outbox_due (status, nextAttemptAt)
+);
+
+-- Settings (admin-editable key/value configuration, values stored as JSON)
+CREATE TABLE IF NOT EXISTS settings (
+  `key` VARCHAR(100) PRIMARY KEY,
+  value TEXT NOT NULL,
   updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
@@ -32,11 +113,100 @@ CREATE TABLE IF NOT EXISTS admins (
   email VARCHAR(255) UNIQUE NOT NULL,
   password VARCHAR(255) NOT NULL,
   name VARCHAR(255) NOT NULL,
+  role ENUM('superadmin', 'editor', 'moderator') NOT NULL DEFAULT 'editor',
   active BOOLEAN DEFAULT TRUE,
   createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
   updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Admin sessions (one row per login; the refresh token rotates on each use)
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  adminId INT NOT NULL,
+  refreshTokenHash CHAR(64) NOT NULL,
+  previousTokenHash CHAR(64),
+  userAgent VARCHAR(500),
+  ip VARCHAR(45),
+  expiresAt DATETIME NOT NULL,
+  revokedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  lastUsedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_admin_sessions_token (refreshTokenHash),
+  INDEX idx_admin_sessions_previous (previousTokenHash),
+  INDEX idx_admin_sessions_admin (adminId),
+  FOREIGN KEY (adminId) REFERENCES admins(id) ON DELETE CASCADE
+);
+
+-- Admin password reset tokens (stored hashed, single use)
+CREATE TABLE IF NOT EXISTS admin_password_resets (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  adminId INT NOT NULL,
+  tokenHash CHAR(64) NOT NULL,
+  expiresAt DATETIME NOT NULL,
+  usedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_admin_password_resets_token (tokenHash),
+  FOREIGN KEY (adminId) REFERENCES admins(id) ON DELETE CASCADE
+);
+
+-- Contact notes (timestamped notes left by the intake team on a lead)
+CREATE TABLE IF NOT EXISTS contact_notes (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  contactId INT NOT NULL,
+  adminId INT,
+  note TEXT NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_contact_notes_contact (contactId),
+  FOREIGN KEY (contactId) REFERENCES contacts(id) ON DELETE CASCADE,
+  FOREIGN KEY (adminId) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+-- Review moderation log (every moderation decision, who made it and when).
+-- Rows outlive their review, so reviewId has no foreign key; a deletion is
+-- logged with toStatus 'deleted'.
+CREATE TABLE IF NOT EXISTS review_moderation_log (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  reviewId INT NOT NULL,
+  adminId INT,
+  fromStatus ENUM('pending', 'approved', 'rejected', 'hidden'),
+  toStatus ENUM('pending', 'approved', 'rejected', 'hidden', 'deleted') NOT NULL,
+  reason TEXT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_review_moderation_log_review (reviewId),
+  FOREIGN KEY (adminId) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+-- Media library (uploaded images and their resized variants)
+CREATE TABLE IF NOT EXISTS media (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  filename VARCHAR(255) NOT NULL,
+  storageKey VARCHAR(255) UNIQUE NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  mimeType VARCHAR(50) NOT NULL,
+  size INT NOT NULL,
+  width INT,
+  height INT,
+  altText VARCHAR(500),
+  variants JSON,
+  uploadedBy INT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_media_created_at (createdAt),
+  FOREIGN KEY (uploadedBy) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+-- Blog categories (managed in the admin; posts reference them by ID)
+CREATE TABLE IF NOT EXISTS blog_categories (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  image VARCHAR(500),
+  sortOrder INT DEFAULT 0,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
 -- Blog posts table
 CREATE TABLE IF NOT EXISTS blog_posts (
   id INT PRIMARY KEY AUTO_INCREMENT,
@@ -45,10 +215,13 @@ CREATE TABLE IF NOT EXISTS blog_posts (
   excerpt TEXT NOT NULL,
   content LONGTEXT NOT NULL,
   image VARCHAR(500),
+  imageId INT,
   published BOOLEAN DEFAULT FALSE,
+  publishAt DATETIME,
+  unpublishAt DATETIME,
   featured BOOLEAN DEFAULT FALSE,
-  category VARCHAR(100) NOT NULL,
-  tags TEXT,
+  categoryId INT NOT NULL,
+  tags TEXT, -- comma-separated copy of the linked blog_tags names, for search
   metaTitle VARCHAR(500),
   metaDescription TEXT,
   readTime INT DEFAULT 5,
@@ -56,11 +229,57 @@ CREATE TABLE IF NOT EXISTS blog_posts (
   authorId INT NOT NULL,
   createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
   updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_blog_posts_publish_at (publishAt),
+  INDEX idx_blog_posts_unpublish_at (unpublishAt),
+  FULLTEXT INDEX ft_blog_posts_title (title),
+  FULLTEXT INDEX ft_blog_posts_search (title, excerpt, content, tags),
+  FOREIGN KEY (imageId) REFERENCES media(id) ON DELETE SET NULL,
+  FOREIGN KEY (categoryId) REFERENCES blog_categories(id),
   FOREIGN KEY (authorId) REFERENCES admins(id)
 );
 
+-- Blog tags and their many-to-many link to posts
+CREATE TABLE IF NOT EXISTS blog_tags (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blog_post_tags (
+  postId INT NOT NULL,
+  tagId INT NOT NULL,
+  PRIMARY KEY (postId, tagId),
+  INDEX idx_blog_post_tags_tag (tagId),
+  FOREIGN KEY (postId) REFERENCES blog_posts(id) ON DELETE CASCADE,
+  FOREIGN KEY (tagId) REFERENCES blog_tags(id) ON DELETE CASCADE
+);
+
+-- Blog post revisions (a content snapshot saved on every create, update and restore)
+CREATE TABLE IF NOT EXISTS blog_post_revisions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  postId INT NOT NULL,
+  revision INT NOT NULL,
+  title VARCHAR(500) NOT NULL,
+  slug VARCHAR(500) NOT NULL,
+  excerpt TEXT NOT NULL,
+  content LONGTEXT NOT NULL,
+  image VARCHAR(500),
+  imageId INT,
+  categoryId INT NOT NULL,
+  tags TEXT,
+  metaTitle VARCHAR(500),
+  metaDescription TEXT,
+  authorId INT,
+  restoredFrom INT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_blog_post_revisions_post_revision (postId, revision),
+  FOREIGN KEY (postId) REFERENCES blog_posts(id) ON DELETE CASCADE,
+  FOREIGN KEY (authorId) REFERENCES admins(id) ON DELETE SET NULL
+);
+
 -- Insert a default admin user
 -- Password: admin123 (hashed with bcrypt)
-INSERT INTO admins (username, email, password, name) VALUES 
-('admin', 'admin@asistecare.com', '$2b$10$8K1p/a0dqbefwW5ypGOPD.VV2vGgOUvzjI8HcIhSdZ4VcFqrGiVbe', 'Administrador')
+INSERT INTO admins (username, email, password, name, role) VALUES 
+('admin', 'admin@asistecare.com', '$2b$10$8K1p/a0dqbefwW5ypGOPD.VV2vGgOUvzjI8HcIhSdZ4VcFqrGiVbe', 'Administrador', 'superadmin')
 ON DUPLICATE KEY UPDATE username = username;
\ No newline at end of file
@@ -0,0 +1,8 @@
+-- Adds role-based permissions to admins.
+-- Existing admins could do everything before, so they become superadmins.
+USE asistecare;
+
+ALTER TABLE admins
+  ADD COLUMN role ENUM('superadmin', 'editor', 'moderator') NOT NULL DEFAULT 'editor' AFTER name;
+
+UPDATE admins SET role = 'superadmin';
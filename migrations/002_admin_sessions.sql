@@ -0,0 +1,20 @@
+-- Adds server-side admin sessions for refresh tokens and revocation.
+USE asistecare;
+
+-- Admin sessions (one row per login; the refresh token rotates on each use)
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  adminId INT NOT NULL,
+  refreshTokenHash CHAR(64) NOT NULL,
+  previousTokenHash CHAR(64),
+  userAgent VARCHAR(500),
+  ip VARCHAR(45),
+  expiresAt DATETIME NOT NULL,
+  revokedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  lastUsedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_admin_sessions_token (refreshTokenHash),
+  INDEX idx_admin_sessions_previous (previousTokenHash),
+  INDEX idx_admin_sessions_admin (adminId),
+  FOREIGN KEY (adminId) REFERENCES admins(id) ON DELETE CASCADE
+);
@@ -0,0 +1,14 @@
+-- Adds the self-service admin password reset flow.
+USE asistecare;
+
+-- Admin password reset tokens (stored hashed, single use)
+CREATE TABLE IF NOT EXISTS admin_password_resets (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  adminId INT NOT NULL,
+  tokenHash CHAR(64) NOT NULL,
+  expiresAt DATETIME NOT NULL,
+  usedAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_admin_password_resets_token (tokenHash),
+  FOREIGN KEY (adminId) REFERENCES admins(id) ON DELETE CASCADE
+);
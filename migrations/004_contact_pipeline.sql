@@ -0,0 +1,21 @@
+-- Adds the lead pipeline to contacts: status, assignee and notes.
+USE asistecare;
+
+ALTER TABLE contacts
+  ADD COLUMN status ENUM('new', 'contacted', 'qualified', 'scheduled', 'converted', 'lost') NOT NULL DEFAULT 'new' AFTER postalCode,
+  ADD COLUMN assignedTo INT AFTER status,
+  ADD COLUMN updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER createdAt,
+  ADD INDEX idx_contacts_status (status),
+  ADD INDEX idx_contacts_assigned (assignedTo);
+
+-- Contact notes (timestamped notes left by the intake team on a lead)
+CREATE TABLE IF NOT EXISTS contact_notes (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  contactId INT NOT NULL,
+  adminId INT,
+  note TEXT NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_contact_notes_contact (contactId),
+  FOREIGN KEY (contactId) REFERENCES contacts(id) ON DELETE CASCADE,
+  FOREIGN KEY (adminId) REFERENCES admins(id) ON DELETE SET NULL
+);
@@ -0,0 +1,17 @@
+-- Adds service-area coverage by postal code and flags contacts as in/out of area.
+USE asistecare;
+
+-- Service areas (postal codes we cover, grouped by region)
+CREATE TABLE IF NOT EXISTS service_areas (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  postalCode VARCHAR(10) UNIQUE NOT NULL,
+  region VARCHAR(100) NOT NULL,
+  coordinatorEmail VARCHAR(255) NOT NULL,
+  active BOOLEAN DEFAULT TRUE,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE contacts
+  ADD COLUMN inServiceArea BOOLEAN DEFAULT FALSE AFTER postalCode,
+  ADD COLUMN region VARCHAR(100) AFTER inServiceArea;
@@ -0,0 +1,22 @@
+-- Adds duplicate lead detection: normalized email/phone and links to the primary lead.
+USE asistecare;
+
+ALTER TABLE contacts
+  ADD COLUMN normalizedEmail VARCHAR(255) AFTER postalCode,
+  ADD COLUMN normalizedPhone VARCHAR(50) AFTER normalizedEmail,
+  ADD COLUMN duplicateOf INT AFTER assignedTo,
+  ADD COLUMN submissionCount INT DEFAULT 1 AFTER duplicateOf,
+  ADD COLUMN lastSubmittedAt DATETIME DEFAULT CURRENT_TIMESTAMP AFTER updatedAt,
+  ADD INDEX idx_contacts_normalized_email (normalizedEmail),
+  ADD INDEX idx_contacts_normalized_phone (normalizedPhone),
+  ADD CONSTRAINT fk_contacts_duplicate FOREIGN KEY (duplicateOf) REFERENCES contacts(id) ON DELETE CASCADE;
+
+-- Backfill with the same normalization as src/services/leads.js
+UPDATE contacts
+SET normalizedEmail = LOWER(TRIM(email)),
+    normalizedPhone = REGEXP_REPLACE(phone, '[^0-9]', ''),
+    lastSubmittedAt = createdAt;
+
+UPDATE contacts
+SET normalizedPhone = SUBSTRING(normalizedPhone, 2)
+WHERE LENGTH(normalizedPhone) = 11 AND LEFT(normalizedPhone, 1) = '1';
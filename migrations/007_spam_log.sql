@@ -0,0 +1,13 @@
+-- Adds logging of rejected (spam) form submissions.
+USE asistecare;
+
+-- Spam log (rejected public form submissions)
+CREATE TABLE IF NOT EXISTS spam_log (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  form ENUM('contact', 'review') NOT NULL,
+  reason VARCHAR(50) NOT NULL,
+  ip VARCHAR(45),
+  email VARCHAR(255),
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_spam_log_created (createdAt)
+);
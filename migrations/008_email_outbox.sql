@@ -0,0 +1,20 @@
+-- Adds the outbound email queue.
+USE asistecare;
+
+-- Email outbox (queued outbound emails, sent and retried by the mail worker)
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  template VARCHAR(100) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(500) NOT NULL,
+  html LONGTEXT NOT NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  maxAttempts INT NOT NULL DEFAULT 5,
+  lastError TEXT,
+  nextAttemptAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  sentAt DATETIME,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_email_outbox_due (status, nextAttemptAt)
+);
@@ -0,0 +1,9 @@
+-- Adds admin-editable settings (autoresponder toggles).
+USE asistecare;
+
+-- Settings (admin-editable key/value configuration, values stored as JSON)
+CREATE TABLE IF NOT EXISTS settings (
+  `key` VARCHAR(100) PRIMARY KEY,
+  value TEXT NOT NULL,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
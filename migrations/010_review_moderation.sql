@@ -0,0 +1,26 @@
+-- Adds the review moderation lifecycle (pending, approved, rejected, hidden) and its log.
+-- `approved` is kept and maintained for older clients.
+USE asistecare;
+
+ALTER TABLE reviews
+  ADD COLUMN status ENUM('pending', 'approved', 'rejected', 'hidden') NOT NULL DEFAULT 'pending' AFTER approved,
+  ADD COLUMN rejectionReason TEXT AFTER status,
+  ADD COLUMN moderatedBy INT AFTER rejectionReason,
+  ADD COLUMN moderatedAt DATETIME AFTER moderatedBy,
+  ADD INDEX idx_reviews_status (status);
+
+UPDATE reviews SET status = IF(approved = 1, 'approved', 'pending');
+
+-- Review moderation log (every moderation decision, who made it and when)
+CREATE TABLE IF NOT EXISTS review_moderation_log (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  reviewId INT NOT NULL,
+  adminId INT,
+  fromStatus ENUM('pending', 'approved', 'rejected', 'hidden'),
+  toStatus ENUM('pending', 'approved', 'rejected', 'hidden') NOT NULL,
+  reason TEXT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_review_moderation_log_review (reviewId),
+  FOREIGN KEY (reviewId) REFERENCES reviews(id) ON DELETE CASCADE,
+  FOREIGN KEY (adminId) REFERENCES admins(id) ON DELETE SET NULL
+);
@@ -0,0 +1,9 @@
+-- Adds public business replies to reviews and the reviewer's email language.
+USE asistecare;
+
+ALTER TABLE reviews
+  ADD COLUMN locale VARCHAR(5) DEFAULT 'es' AFTER comment,
+  ADD COLUMN replyText TEXT AFTER moderatedAt,
+  ADD COLUMN replyAuthorId INT AFTER replyText,
+  ADD COLUMN replyCreatedAt DATETIME AFTER replyAuthorId,
+  ADD COLUMN replyUpdatedAt DATETIME AFTER replyCreatedAt;
@@ -0,0 +1,12 @@
+-- Adds email verification (double opt-in) for reviews.
+-- Reviews submitted before this change count as verified.
+USE asistecare;
+
+ALTER TABLE reviews
+  ADD COLUMN verified BOOLEAN DEFAULT FALSE AFTER locale,
+  ADD COLUMN verifiedAt DATETIME AFTER verified,
+  ADD COLUMN verificationTokenHash CHAR(64) AFTER verifiedAt,
+  ADD COLUMN verificationExpiresAt DATETIME AFTER verificationTokenHash,
+  ADD UNIQUE KEY uq_reviews_verification_token (verificationTokenHash);
+
+UPDATE reviews SET verified = 1, verifiedAt = createdAt;
@@ -0,0 +1,7 @@
+-- Adds automatic content screening results to reviews.
+USE asistecare;
+
+ALTER TABLE reviews
+  ADD COLUMN originalComment TEXT AFTER comment,
+  ADD COLUMN flagged BOOLEAN DEFAULT FALSE AFTER originalComment,
+  ADD COLUMN screeningFlags JSON AFTER flagged;
@@ -0,0 +1,8 @@
+-- Adds scheduled publishing and unpublishing of blog posts.
+USE asistecare;
+
+ALTER TABLE blog_posts
+  ADD COLUMN publishAt DATETIME AFTER published,
+  ADD COLUMN unpublishAt DATETIME AFTER publishAt,
+  ADD INDEX idx_blog_posts_publish_at (publishAt),
+  ADD INDEX idx_blog_posts_unpublish_at (unpublishAt);
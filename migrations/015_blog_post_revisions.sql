@@ -0,0 +1,33 @@
+-- Adds revision history for blog posts.
+USE asistecare;
+
+CREATE TABLE IF NOT EXISTS blog_post_revisions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  postId INT NOT NULL,
+  revision INT NOT NULL,
+  title VARCHAR(500) NOT NULL,
+  slug VARCHAR(500) NOT NULL,
+  excerpt TEXT NOT NULL,
+  content LONGTEXT NOT NULL,
+  image VARCHAR(500),
+  category VARCHAR(100) NOT NULL,
+  tags TEXT,
+  metaTitle VARCHAR(500),
+  metaDescription TEXT,
+  authorId INT,
+  restoredFrom INT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_blog_post_revisions_post_revision (postId, revision),
+  FOREIGN KEY (postId) REFERENCES blog_posts(id) ON DELETE CASCADE,
+  FOREIGN KEY (authorId) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+-- Existing posts start with their current content as revision 1
+INSERT INTO blog_post_revisions (
+  postId, revision, title, slug, excerpt, content, image, category, tags, metaTitle, metaDescription,
+  authorId, createdAt
+)
+SELECT id, 1, title, slug, excerpt, content, image, category, tags, metaTitle, metaDescription,
+  authorId, updatedAt
+FROM blog_posts bp
+WHERE NOT EXISTS (SELECT 1 FROM blog_post_revisions r WHERE r.postId = bp.id);
@@ -0,0 +1,6 @@
+-- Adds full-text indexes for blog search.
+USE asistecare;
+
+-- InnoDB builds one FULLTEXT index per ALTER
+ALTER TABLE blog_posts ADD FULLTEXT INDEX ft_blog_posts_title (title);
+ALTER TABLE blog_posts ADD FULLTEXT INDEX ft_blog_posts_search (title, excerpt, content, tags);
@@ -0,0 +1,43 @@
+// Moves the comma-separated blog_posts.tags values into blog_tags and
+// blog_post_tags. Runs after 017_blog_tags.sql:
+//   node migrations/017_blog_tags.js
+// Done in Node so tag slugs come from the same slugify() the app uses.
+import 'dotenv/config';
+import pool from '../src/config/database.js';
+import { parseTags, setPostTags } from '../src/services/blogTags.js';
+
+const connection = await pool.getConnection();
+
+try {
+  await connection.beginTransaction();
+
+  const [posts] = await connection.query(
+    "SELECT id, tags FROM blog_posts WHERE tags IS NOT NULL AND tags != ''"
+  );
+
+  for (const post of posts) {
+    // Legacy values were free text: keep the names parseTags() accepts
+    const tags = [];
+    for (const name of post.tags.split(',')) {
+      const parsed = parseTags([name]);
+      if (parsed.error) {
+        console.warn(`Post ${post.id}: skipping tag "${name.trim()}" (${parsed.error})`);
+      } else {
+        tags.push(...parsed.filter((tag) => !tags.some((other) => other.slug === tag.slug)));
+      }
+    }
+
+    // Also rewrites blog_posts.tags as the canonical comma-separated copy
+    await setPostTags(connection, post.id, tags);
+  }
+
+  await connection.commit();
+  console.log(`Migrated tags of ${posts.length} posts`);
+} catch (error) {
+  await connection.rollback();
+  console.error('Tag migration failed, nothing was changed:', error);
+  process.exitCode = 1;
+} finally {
+  connection.release();
+  await pool.end();
+}
@@ -0,0 +1,20 @@
+-- Adds tag entities for blog posts.
+-- Then run `node migrations/017_blog_tags.js` to move the existing
+-- comma-separated blog_posts.tags values into them.
+USE asistecare;
+
+CREATE TABLE IF NOT EXISTS blog_tags (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blog_post_tags (
+  postId INT NOT NULL,
+  tagId INT NOT NULL,
+  PRIMARY KEY (postId, tagId),
+  INDEX idx_blog_post_tags_tag (tagId),
+  FOREIGN KEY (postId) REFERENCES blog_posts(id) ON DELETE CASCADE,
+  FOREIGN KEY (tagId) REFERENCES blog_tags(id) ON DELETE CASCADE
+);
@@ -0,0 +1,84 @@
+// Turns the free-text category of posts and revisions into blog_categories
+// rows, then makes categoryId required and drops the old column. Runs after
+// 018_blog_categories.sql:
+//   node migrations/018_blog_categories.js
+// Done in Node so category slugs come from the same slugify() the app uses.
+import 'dotenv/config';
+import pool from '../src/config/database.js';
+import { slugify } from '../src/services/blogTags.js';
+
+// Categories whose name has no usable slug are filed under this one
+const FALLBACK = { name: 'General', slug: 'general' };
+
+const connection = await pool.getConnection();
+
+try {
+  await connection.beginTransaction();
+
+  // Every spelling in posts and revisions. Spellings that share a slug
+  // ("Cuidados", "cuidados ") become one category named after the first seen.
+  const [spellings] = await connection.query(
+    `SELECT category FROM blog_posts
+     UNION
+     SELECT category FROM blog_post_revisions
+     ORDER BY category`
+  );
+
+  const categoryIds = new Map();
+
+  const ensureCategory = async (name, slug) => {
+    if (!categoryIds.has(slug)) {
+      const [result] = await connection.query(
+        'INSERT INTO blog_categories (name, slug) VALUES (?, ?) ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)',
+        [name, slug]
+      );
+      categoryIds.set(slug, result.insertId);
+    }
+    return categoryIds.get(slug);
+  };
+
+  // Created first so a legacy "general" spelling cannot take its name
+  if (spellings.some(({ category }) => !slugify(category))) {
+    await ensureCategory(FALLBACK.name, FALLBACK.slug);
+  }
+
+  for (const { category } of spellings) {
+    const slug = slugify(category);
+    const categoryId = slug
+      ? await ensureCategory(category.trim(), slug)
+      : await ensureCategory(FALLBACK.name, FALLBACK.slug);
+
+    await connection.query('UPDATE blog_posts SET categoryId = ? WHERE category = ?', [categoryId, category]);
+    await connection.query('UPDATE blog_post_revisions SET categoryId = ? WHERE category = ?', [categoryId, category]);
+  }
+
+  await connection.commit();
+  console.log(`Created ${categoryIds.size} categories from ${spellings.length} spellings`);
+} catch (error) {
+  await connection.rollback();
+  console.error('Category migration failed, nothing was changed:', error);
+  process.exitCode = 1;
+}
+
+// Schema changes commit implicitly, so they only run once the data is in place
+if (!process.exitCode) {
+  try {
+    await connection.query(
+      `ALTER TABLE blog_posts
+         MODIFY categoryId INT NOT NULL,
+         ADD FOREIGN KEY (categoryId) REFERENCES blog_categories(id),
+         DROP COLUMN category`
+    );
+    await connection.query(
+      `ALTER TABLE blog_post_revisions
+         MODIFY categoryId INT NOT NULL,
+         DROP COLUMN category`
+    );
+  } catch (error) {
+    console.error('Category migration could not finish the schema changes:', error);
+    process.exitCode = 1;
+  }
+}
+
+connection.release();
+await pool.end();
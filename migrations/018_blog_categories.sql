@@ -0,0 +1,18 @@
+-- Adds managed blog categories.
+-- Then run `node migrations/018_blog_categories.js` to turn the free-text
+-- blog_posts.category values into categories and drop the old column.
+USE asistecare;
+
+CREATE TABLE IF NOT EXISTS blog_categories (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  image VARCHAR(500),
+  sortOrder INT DEFAULT 0,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE blog_posts ADD COLUMN categoryId INT AFTER category;
+ALTER TABLE blog_post_revisions ADD COLUMN categoryId INT AFTER category;
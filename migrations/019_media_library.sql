@@ -0,0 +1,26 @@
+-- Adds the media library and lets blog posts reference an image from it.
+USE asistecare;
+
+CREATE TABLE IF NOT EXISTS media (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  filename VARCHAR(255) NOT NULL,
+  storageKey VARCHAR(255) UNIQUE NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  mimeType VARCHAR(50) NOT NULL,
+  size INT NOT NULL,
+  width INT,
+  height INT,
+  altText VARCHAR(500),
+  variants JSON,
+  uploadedBy INT,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_media_created_at (createdAt),
+  FOREIGN KEY (uploadedBy) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+ALTER TABLE blog_posts
+  ADD COLUMN imageId INT AFTER image,
+  ADD FOREIGN KEY (imageId) REFERENCES media(id) ON DELETE SET NULL;
+
+ALTER TABLE blog_post_revisions ADD COLUMN imageId INT AFTER image;
@@ -0,0 +1,7 @@
+-- Keeps repeat submissions when their primary lead is deleted.
+USE asistecare;
+
+ALTER TABLE contacts DROP FOREIGN KEY fk_contacts_duplicate;
+
+ALTER TABLE contacts
+  ADD CONSTRAINT fk_contacts_duplicate FOREIGN KEY (duplicateOf) REFERENCES contacts(id) ON DELETE SET NULL;
@@ -0,0 +1,10 @@
+-- Keeps the moderation log of deleted reviews and records the deletion itself.
+-- reviewId becomes a plain indexed column so log rows keep pointing at the
+-- review they describe after it is gone.
+USE asistecare;
+
+-- Created unnamed in 010, so it has MySQL's generated name
+ALTER TABLE review_moderation_log DROP FOREIGN KEY review_moderation_log_ibfk_1;
+
+ALTER TABLE review_moderation_log
+  MODIFY COLUMN toStatus ENUM('pending', 'approved', 'rejected', 'hidden', 'deleted') NOT NULL;
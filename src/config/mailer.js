@@ -0,0 +1,28 @@
+import nodemailer from 'nodemailer';
+
+// MAIL_TRANSPORT=json renders messages without sending them (local development and tests).
+// For a local SMTP stand-in (e.g. MailHog), point SMTP_HOST/SMTP_PORT at it and leave SMTP_USER empty.
+const createTransporter = () => {
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  // Nodemailer configuration
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    } : undefined,
+  });
+};
+
+const transporter = createTransporter();
+
+export const isMailConfigured = () => process.env.MAIL_TRANSPORT === 'json' || Boolean(process.env.SMTP_HOST);
+
+export const mailFrom = () => process.env.MAIL_FROM || process.env.SMTP_USER;
+
+export default transporter;
@@ -8,11 +8,22 @@ import cors from 'cors';
 import contactRoutes from './routes/contact.js';
 import reviewRoutes from './routes/reviews.js';
 import blogRoutes from './routes/blog.js';
+import blogCategoryRoutes from './routes/blogCategories.js';
 import adminRoutes from './routes/admin.js';
+import coverageRoutes from './routes/coverage.js';
+import feedRoutes from './routes/feeds.js';
+import mediaRoutes from './routes/media.js';
+import { MEDIA_UPLOAD_DIR, MEDIA_PUBLIC_URL } from './services/mediaStorage.js';
+import { startMailWorker, stopMailWorker } from './services/mailWorker.js';
+import { startReviewCleanup, stopReviewCleanup } from './services/reviewVerification.js';
+import { startBlogScheduler, stopBlogScheduler } from './services/blogSchedule.js';
 
 const app = express();
 const port = process.env.PORT || 5001;
 
+// Behind nginx on the same host: use X-Forwarded-For for req.ip (rate limiting)
+app.set('trust proxy', 'loopback');
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -29,8 +40,19 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/contact', contactRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/blog/categories', blogCategoryRoutes);
 app.use('/api/blog', blogRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/coverage', coverageRoutes);
+app.use('/api/media', mediaRoutes);
+
+// Uploaded media, when stored on local disk
+if (MEDIA_PUBLIC_URL.startsWith('/')) {
+  app.use(MEDIA_PUBLIC_URL, express.static(MEDIA_UPLOAD_DIR, { maxAge: '30d' }));
+}
+
+// Blog feeds and sitemap
+app.use('/', feedRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -49,15 +71,24 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Received SIGINT, shutting down gracefully...');
+  stopMailWorker();
+  stopReviewCleanup();
+  stopBlogScheduler();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
+  stopMailWorker();
+  stopReviewCleanup();
+  stopBlogScheduler();
   process.exit(0);
 });
 
 app.listen(port, () => {
   console.log(`🚀 Server running on port ${port}`);
   console.log(`📧 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
+  startMailWorker();
+  startReviewCleanup();
+  startBlogScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,61 @@
+import jwt from 'jsonwebtoken';
+import { findActiveSession } from '../services/sessions.js';
+
+// Admin roles and the permissions each one grants
+export const ROLE_PERMISSIONS = {
+  superadmin: ['users:manage', 'contacts:manage', 'coverage:manage', 'reviews:moderate', 'blog:write', 'spam:view', 'emails:manage', 'settings:manage'],
+  editor: ['blog:write'],
+  moderator: ['reviews:moderate', 'spam:view']
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role];
+  return Boolean(permissions && permissions.includes(permission));
+};
+
+// JWT middleware for protected routes.
+// Besides the signature, the token's session must still be open and its admin
+// active, so logout, revocation and deactivation take effect immediately.
+// Role comes from the database so role changes apply without a new login.
+export const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', async (err, user) => {
+    if (err || !user.sid) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+
+    try {
+      const admin = await findActiveSession(user.sid, user.id);
+
+      if (!admin) {
+        return res.status(401).json({ error: 'Session expired or revoked' });
+      }
+
+      req.user = { ...admin, sid: user.sid };
+      next();
+    } catch (error) {
+      console.error('Error validating session:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+};
+
+// Authenticates the request and checks that the admin's role grants `permission`.
+// Usage: router.get('/contacts', authorize('contacts:manage'), handler)
+// Without a permission it only requires a valid token.
+export const authorize = (permission) => (req, res, next) => {
+  authenticateToken(req, res, () => {
+    if (permission && !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  });
+};
@@ -0,0 +1,100 @@
+import pool from '../config/database.js';
+import { verifyCaptcha } from '../services/captcha.js';
+
+const WINDOW_MS = parseInt(process.env.SPAM_WINDOW_MINUTES || '60') * 60 * 1000;
+const MAX_PER_IP = parseInt(process.env.SPAM_MAX_PER_IP || '5');
+const MAX_PER_EMAIL = parseInt(process.env.SPAM_MAX_PER_EMAIL || '3');
+const HONEYPOT_FIELD = process.env.SPAM_HONEYPOT_FIELD || 'website';
+
+// In-memory sliding window of submission timestamps per key ("form:ip:..." / "form:email:...").
+// The server runs as a single process, so memory is shared by all requests.
+const hits = new Map();
+
+const recordHit = (key, now) => {
+  const recent = (hits.get(key) || []).filter((time) => now - time < WINDOW_MS);
+  recent.push(now);
+  hits.set(key, recent);
+  return recent.length;
+};
+
+// Drop expired keys so the map does not grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, times] of hits) {
+    if (times.every((time) => now - time >= WINDOW_MS)) {
+      hits.delete(key);
+    }
+  }
+}, WINDOW_MS).unref();
+
+// Logs a rejected submission; never fails the request
+const logRejection = (form, reason, req) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.slice(0, 255) : null;
+
+  pool.execute(
+    'INSERT INTO spam_log (form, reason, ip, email, createdAt) VALUES (?, ?, ?, ?, NOW())',
+    [form, reason, req.ip || null, email]
+  ).catch((error) => {
+    console.error('Error logging spam rejection:', error);
+  });
+};
+
+// Records the request against the per-IP and per-email limits of `scope`.
+// Returns the rejection reason, or null while both are under their limit.
+const checkRateLimits = (scope, req) => {
+  const now = Date.now();
+
+  if (recordHit(`${scope}:ip:${req.ip}`, now) > MAX_PER_IP) {
+    return 'rate_limit_ip';
+  }
+
+  if (typeof req.body.email === 'string' && req.body.email) {
+    if (recordHit(`${scope}:email:${req.body.email.trim().toLowerCase()}`, now) > MAX_PER_EMAIL) {
+      return 'rate_limit_email';
+    }
+  }
+
+  return null;
+};
+
+const sendTooMany = (res, error) => {
+  res.set('Retry-After', String(Math.ceil(WINDOW_MS / 1000)));
+  return res.status(429).json({ error });
+};
+
+// Rate limits only, for public endpoints that send email but are not forms
+// (no honeypot, no CAPTCHA, nothing logged).
+// Usage: router.post('/password/forgot', rateLimit('password-reset'), handler)
+export const rateLimit = (scope) => (req, res, next) => {
+  if (checkRateLimits(scope, req)) {
+    return sendTooMany(res, 'Too many requests, please try again later');
+  }
+
+  next();
+};
+
+// Anti-spam checks for public forms, in order: honeypot, rate limits, CAPTCHA.
+// Usage: router.post('/', protectForm('contact'), handler)
+export const protectForm = (form) => async (req, res, next) => {
+  // Bots fill every field; humans never see the honeypot. Pretend it worked.
+  if (req.body[HONEYPOT_FIELD]) {
+    logRejection(form, 'honeypot', req);
+    return res.status(201).json({ message: 'Submission received' });
+  }
+
+  const limited = checkRateLimits(form, req);
+
+  if (limited) {
+    logRejection(form, limited, req);
+    return sendTooMany(res, 'Too many submissions, please try again later');
+  }
+
+  const captchaValid = await verifyCaptcha(req.body.captchaToken, { ip: req.ip });
+
+  if (!captchaValid) {
+    logRejection(form, 'captcha', req);
+    return res.status(400).json({ error: 'CAPTCHA verification failed' });
+  }
+
+  next();
+};
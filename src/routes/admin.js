@@ -1,26 +1,221 @@
 import express from 'express';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import pool from '../config/database.js';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/spamProtection.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from '../services/sessions.js';
+import { generateToken, hashToken } from '../services/tokens.js';
+import { queueEmailSafely } from '../services/mail.js';
+import { processOutbox } from '../services/mailWorker.js';
+import { getSettings, setSetting } from '../services/settings.js';
+import { buildReviewFilters, moderateReview, applyModeration, applyDeletion, deleteReview, getModerationHistory } from '../services/reviewModeration.js';
+import { parseBulkTarget, resolveFilterIds, runBulk } from '../services/bulk.js';
 
 const router = express.Router();
 
-// JWT middleware for protected routes
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+const SALT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+// Columns safe to return to the client (never the password hash)
+const ADMIN_PUBLIC_FIELDS = 'id, username, email, name, role, active, createdAt, updatedAt';
+
+// Review moderation actions and the status each one sets
+const REVIEW_ACTION_STATUS = {
+  approve: 'approved',
+  unapprove: 'pending',
+  reject: 'rejected',
+  hide: 'hidden'
+};
+const REVIEW_BULK_ACTIONS = [...Object.keys(REVIEW_ACTION_STATUS), 'delete'];
+
+// Shared handler for review moderation actions
+const setReviewStatus = async (req, res, status, message, reason = null) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
+    }
+
+    const review = await moderateReview(reviewId, status, req.user.id, reason);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.error) {
+      return res.status(409).json({ error: review.error });
+    }
+
+    res.json({ message, review });
+
+  } catch (error) {
+    console.error(`Error setting review status to ${status}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Lead pipeline stages for contact submissions
+const CONTACT_STATUSES = ['new', 'contacted', 'qualified', 'scheduled', 'converted', 'lost'];
+
+// Contact list filters that narrow a bulk selection
+const CONTACT_BULK_FILTER_KEYS = ['status', 'assignedTo', 'q', 'postalCode', 'inServiceArea', 'from', 'to'];
+
+// Builds the WHERE clause for the admin contact list from query params.
+// Columns are referenced through the `c` alias of the contacts table.
+const buildContactFilters = (query, user) => {
+  const conditions = [];
+  const params = [];
+
+  // Repeat submissions are history of their lead, hidden unless asked for
+  if (query.includeDuplicates !== 'true') {
+    conditions.push('c.duplicateOf IS NULL');
+  }
+
+  if (query.status) {
+    if (!CONTACT_STATUSES.includes(query.status)) {
+      return { error: 'Invalid status filter' };
+    }
+    conditions.push('c.status = ?');
+    params.push(query.status);
+  }
+
+  if (query.assignedTo === 'unassigned') {
+    conditions.push('c.assignedTo IS NULL');
+  } else if (query.assignedTo === 'me') {
+    conditions.push('c.assignedTo = ?');
+    params.push(user.id);
+  } else if (query.assignedTo) {
+    const assigneeId = parseInt(query.assignedTo);
+    if (isNaN(assigneeId)) {
+      return { error: 'Invalid assignedTo filter' };
+    }
+    conditions.push('c.assignedTo = ?');
+    params.push(assigneeId);
+  }
+
+  // Free-text search over name, email and phone
+  if (query.q && query.q.trim()) {
+    const term = `%${query.q.trim()}%`;
+    const digits = query.q.replace(/\D/g, '');
+    const searchConditions = ['c.name LIKE ?', 'c.email LIKE ?', 'c.phone LIKE ?'];
+    params.push(term, term, term);
+
+    // Match phones regardless of formatting, e.g. "305-555" finds "(305) 555 0100"
+    if (digits.length >= 3) {
+      searchConditions.push("REGEXP_REPLACE(c.phone, '[^0-9]', '') LIKE ?");
+      params.push(`%${digits}%`);
+    }
+
+    conditions.push(`(${searchConditions.join(' OR ')})`);
+  }
+
+  if (query.postalCode) {
+    conditions.push('c.postalCode = ?');
+    params.push(query.postalCode);
+  }
+
+  if (query.inServiceArea === 'true') {
+    conditions.push('c.inServiceArea = 1');
+  } else if (query.inServiceArea === 'false') {
+    conditions.push('c.inServiceArea = 0');
+  }
+
+  // Date range on createdAt, both ends inclusive (YYYY-MM-DD)
+  if (query.from) {
+    if (!dateRegex.test(query.from)) {
+      return { error: 'Invalid from date, expected YYYY-MM-DD' };
+    }
+    conditions.push('c.createdAt >= ?');
+    params.push(query.from);
+  }
+
+  if (query.to) {
+    if (!dateRegex.test(query.to)) {
+      return { error: 'Invalid to date, expected YYYY-MM-DD' };
+    }
+    conditions.push('c.createdAt < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(query.to);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+const CSV_COLUMNS = ['id', 'name', 'email', 'phone', 'postalCode', 'region', 'inServiceArea', 'status', 'assigneeName', 'createdAt'];
+
+// Escapes a value for CSV. Cells that a spreadsheet would run as a formula
+// are prefixed with a quote, except phone-like values such as "+1 305...".
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s()-]*$)/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+  return text;
+};
+
+// Shared handler for activating/deactivating an admin account
+const setAdminActive = async (req, res, active) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    if (!active && userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [result] = await connection.execute(
+      'UPDATE admins SET active = ?, updatedAt = NOW() WHERE id = ?',
+      [active ? 1 : 0, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT ${ADMIN_PUBLIC_FIELDS} FROM admins WHERE id = ?`,
+      [userId]
+    );
+
+    connection.release();
+
+    if (!active) {
+      await revokeAllSessions(userId);
     }
-    req.user = user;
-    next();
-  });
+
+    res.json({
+      message: active ? 'Admin activated successfully' : 'Admin deactivated successfully',
+      user: rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error updating admin status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 };
 
 // POST /api/admin/auth - Admin login
@@ -28,63 +223,1117 @@ router.post('/auth', async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    if (!username || !password) {
-      return res.status(400).json({ 
-        error: 'Username and password are required' 
-      });
+    if (!username || !password) {
+      return res.status(400).json({ 
+        error: 'Username and password are required' 
+      });
+    }
+
+    const connection = await pool.getConnection();
+
+    const query = 'SELECT * FROM admins WHERE username = ? AND active = 1';
+    const [rows] = await connection.execute(query, [username]);
+
+    connection.release();
+
+    if (rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const admin = rows[0];
+    const validPassword = await bcrypt.compare(password, admin.password);
+
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Open a session: short-lived access token + rotating refresh token
+    const { token, refreshToken, expiresIn } = await createSession(admin, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+
+    res.json({
+      token,
+      refreshToken,
+      expiresIn,
+      admin: {
+        id: admin.id,
+        username: admin.username,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in admin login:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateSession(refreshToken);
+
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(tokens);
+
+  } catch (error) {
+    console.error('Error refreshing admin session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/logout - Revoke the current session
+router.post('/logout', authorize(), async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Error in admin logout:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/password/forgot - Email a password reset link
+// Rate limited per IP and per email: each request emails the admin and
+// invalidates their previous link.
+router.post('/password/forgot', rateLimit('password-reset'), async (req, res) => {
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    message: 'If the account exists, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [rows] = await connection.execute(
+      'SELECT id, email, name FROM admins WHERE email = ? AND active = 1',
+      [email]
+    );
+
+    if (rows.length === 0) {
+      connection.release();
+      return res.json(genericResponse);
+    }
+
+    const admin = rows[0];
+    const resetToken = generateToken();
+
+    // Only the latest link stays valid
+    await connection.execute(
+      'UPDATE admin_password_resets SET usedAt = NOW() WHERE adminId = ? AND usedAt IS NULL',
+      [admin.id]
+    );
+
+    await connection.execute(
+      `INSERT INTO admin_password_resets (adminId, tokenHash, expiresAt, createdAt)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+      [admin.id, hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES]
+    );
+
+    connection.release();
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/admin/reset-password?token=${resetToken}`;
+
+    await queueEmailSafely({
+      to: admin.email,
+      template: 'admin-password-reset',
+      data: {
+        name: admin.name,
+        resetUrl,
+        ttlMinutes: PASSWORD_RESET_TTL_MINUTES
+      }
+    });
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/password/reset - Set a new password with a reset token
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['token', 'newPassword']
+      });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const tokenHash = hashToken(token);
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    const connection = await pool.getConnection();
+    let reset;
+
+    try {
+      await connection.beginTransaction();
+
+      // Claim the token before anything else so two concurrent requests
+      // cannot both use it
+      const [claim] = await connection.execute(
+        `UPDATE admin_password_resets r
+         JOIN admins a ON r.adminId = a.id
+         SET r.usedAt = NOW()
+         WHERE r.tokenHash = ? AND r.usedAt IS NULL AND r.expiresAt > NOW() AND a.active = 1`,
+        [tokenHash]
+      );
+
+      if (claim.affectedRows !== 1) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+
+      const [rows] = await connection.execute(
+        'SELECT id, adminId FROM admin_password_resets WHERE tokenHash = ?',
+        [tokenHash]
+      );
+      reset = rows[0];
+
+      await connection.execute(
+        'UPDATE admins SET password = ?, updatedAt = NOW() WHERE id = ?',
+        [hashedPassword, reset.adminId]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await revokeAllSessions(reset.adminId);
+
+    res.json({ message: 'Password reset successfully' });
+
+  } catch (error) {
+    console.error('Error resetting admin password:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/password - Change the logged-in admin's own password
+router.put('/password', authorize(), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['currentPassword', 'newPassword']
+      });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [rows] = await connection.execute(
+      'SELECT password FROM admins WHERE id = ? AND active = 1',
+      [req.user.id]
+    );
+
+    if (rows.length === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const validPassword = await bcrypt.compare(currentPassword, rows[0].password);
+
+    if (!validPassword) {
+      connection.release();
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+    await connection.execute(
+      'UPDATE admins SET password = ?, updatedAt = NOW() WHERE id = ?',
+      [hashedPassword, req.user.id]
+    );
+
+    connection.release();
+
+    // Sign out every other device, keep the current session
+    await revokeAllSessions(req.user.id, req.user.sid);
+
+    res.json({ message: 'Password updated successfully' });
+
+  } catch (error) {
+    console.error('Error changing admin password:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/users - List admin accounts
+router.get('/users', authorize('users:manage'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+
+    let query = `SELECT ${ADMIN_PUBLIC_FIELDS} FROM admins`;
+
+    if (req.query.active === 'true') {
+      query += ' WHERE active = 1';
+    } else if (req.query.active === 'false') {
+      query += ' WHERE active = 0';
+    }
+
+    query += ' ORDER BY createdAt ASC';
+
+    const [rows] = await connection.query(query);
+
+    connection.release();
+
+    res.json({ users: rows });
+
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/users - Create an admin account
+router.post('/users', authorize('users:manage'), async (req, res) => {
+  try {
+    const { username, email, password, name, role = 'editor' } = req.body;
+
+    // Validation
+    if (!username || !email || !password || !name) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['username', 'email', 'password', 'name']
+      });
+    }
+
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed: ROLES });
+    }
+
+    const connection = await pool.getConnection();
+
+    // Check if username or email already exists
+    const [existingRows] = await connection.execute(
+      'SELECT id FROM admins WHERE username = ? OR email = ?',
+      [username, email]
+    );
+
+    if (existingRows.length > 0) {
+      connection.release();
+      return res.status(400).json({ error: 'Username or email already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const [result] = await connection.execute(
+      `INSERT INTO admins (username, email, password, name, role, active, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+      [username, email, hashedPassword, name, role]
+    );
+
+    const [rows] = await connection.execute(
+      `SELECT ${ADMIN_PUBLIC_FIELDS} FROM admins WHERE id = ?`,
+      [result.insertId]
+    );
+
+    connection.release();
+
+    res.status(201).json({
+      message: 'Admin created successfully',
+      user: rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/users/:id - Update an admin account
+router.put('/users/:id', authorize('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { username, email, name, password, role } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    if (email && !emailRegex.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    if (password && password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed: ROLES });
+    }
+
+    // Prevent admins from locking themselves out of user management
+    if (role !== undefined && userId === req.user.id && role !== req.user.role) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const connection = await pool.getConnection();
+
+    // Check if username or email is taken by a different admin
+    if (username || email) {
+      const [existingRows] = await connection.execute(
+        'SELECT id FROM admins WHERE (username = ? OR email = ?) AND id != ?',
+        [username || null, email || null, userId]
+      );
+
+      if (existingRows.length > 0) {
+        connection.release();
+        return res.status(400).json({ error: 'Username or email already exists' });
+      }
+    }
+
+    // Build dynamic update query
+    const updateFields = [];
+    const updateValues = [];
+
+    if (username) {
+      updateFields.push('username = ?');
+      updateValues.push(username);
+    }
+    if (email) {
+      updateFields.push('email = ?');
+      updateValues.push(email);
+    }
+    if (name) {
+      updateFields.push('name = ?');
+      updateValues.push(name);
+    }
+    if (role) {
+      updateFields.push('role = ?');
+      updateValues.push(role);
+    }
+    if (password) {
+      updateFields.push('password = ?');
+      updateValues.push(await bcrypt.hash(password, SALT_ROUNDS));
+    }
+
+    updateFields.push('updatedAt = NOW()');
+    updateValues.push(userId);
+
+    const [result] = await connection.execute(
+      `UPDATE admins SET ${updateFields.join(', ')} WHERE id = ?`,
+      updateValues
+    );
+
+    if (result.affectedRows === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT ${ADMIN_PUBLIC_FIELDS} FROM admins WHERE id = ?`,
+      [userId]
+    );
+
+    connection.release();
+
+    // A new password signs the admin out everywhere (except this session when
+    // they changed their own), like a reset or a password change
+    if (password) {
+      await revokeAllSessions(userId, userId === req.user.id ? req.user.sid : null);
+    }
+
+    res.json({
+      message: 'Admin updated successfully',
+      user: rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/users/:id/deactivate - Deactivate an admin account
+router.put('/users/:id/deactivate', authorize('users:manage'), async (req, res) => {
+  await setAdminActive(req, res, false);
+});
+
+// PUT /api/admin/users/:id/activate - Reactivate an admin account
+router.put('/users/:id/activate', authorize('users:manage'), async (req, res) => {
+  await setAdminActive(req, res, true);
+});
+
+// DELETE /api/admin/users/:id/sessions - Revoke all sessions of an admin
+router.delete('/users/:id/sessions', authorize('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const revoked = await revokeAllSessions(userId);
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      revoked
+    });
+
+  } catch (error) {
+    console.error('Error revoking admin sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/contacts - Get all contacts
+// Filters: ?status=new|contacted|...  ?assignedTo=<adminId>|me|unassigned
+//          ?q=<name, email or phone>  ?postalCode=  ?inServiceArea=true|false
+//          ?from=YYYY-MM-DD  ?to=YYYY-MM-DD  ?includeDuplicates=true
+router.get('/contacts', authorize('contacts:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    
+    // Ensure values are valid integers
+    if (isNaN(page) || isNaN(limit) || page < 1 || limit < 1) {
+      return res.status(400).json({ error: 'Invalid page or limit parameters' });
+    }
+
+    const filters = buildContactFilters(req.query, req.user);
+
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const connection = await pool.getConnection();
+
+    const query = `
+      SELECT c.*, a.name as assigneeName
+      FROM contacts c
+      LEFT JOIN admins a ON c.assignedTo = a.id
+      ${filters.where}
+      ORDER BY c.createdAt DESC 
+      LIMIT ?, ?
+    `;
+
+    const [rows] = await connection.query(query, [...filters.params, offset, limit]);
+
+    // Get total count
+    const [countRows] = await connection.query(
+      `SELECT COUNT(*) as total FROM contacts c ${filters.where}`,
+      filters.params
+    );
+    const total = countRows[0].total;
+
+    connection.release();
+
+    res.json({
+      contacts: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/contacts/export - Stream contacts as CSV (same filters as the list)
+router.get('/contacts/export', authorize('contacts:manage'), async (req, res) => {
+  const filters = buildContactFilters(req.query, req.user);
+
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+
+    const query = `
+      SELECT c.id, c.name, c.email, c.phone, c.postalCode, c.region, c.inServiceArea, c.status,
+        a.name as assigneeName, c.createdAt
+      FROM contacts c
+      LEFT JOIN admins a ON c.assignedTo = a.id
+      ${filters.where}
+      ORDER BY c.createdAt DESC
+    `;
+
+    // Rows are streamed from MySQL straight to the response, never buffered
+    const rows = connection.connection.query(query, filters.params).stream();
+
+    const toCsv = new Transform({
+      objectMode: true,
+      transform(row, encoding, callback) {
+        callback(null, CSV_COLUMNS.map((column) => toCsvValue(row[column])).join(',') + '\r\n');
+      }
+    });
+
+    const filename = `contacts-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM so Excel opens accents correctly
+    res.write('\uFEFF' + CSV_COLUMNS.join(',') + '\r\n');
+
+    await pipeline(rows, toCsv, res);
+
+    connection.release();
+
+  } catch (error) {
+    // The streaming query may still be running (client abort, failed write),
+    // which leaves the connection unusable: drop it instead of releasing it
+    if (connection) {
+      connection.destroy();
+    }
+
+    console.error('Error exporting contacts:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// GET /api/admin/contacts/duplicates - Leads that share an email or phone
+// These are leads that were not linked on submission (outside the duplicate
+// window, or created before detection existed) and can be merged by hand.
+router.get('/contacts/duplicates', authorize('contacts:manage'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+
+    const groups = [];
+
+    for (const field of ['normalizedEmail', 'normalizedPhone']) {
+      const [keyRows] = await connection.query(
+        `SELECT ${field} as matchKey
+         FROM contacts
+         WHERE duplicateOf IS NULL AND ${field} IS NOT NULL AND ${field} != ''
+         GROUP BY ${field}
+         HAVING COUNT(*) > 1
+         ORDER BY MAX(createdAt) DESC
+         LIMIT 100`
+      );
+
+      for (const { matchKey } of keyRows) {
+        const [contacts] = await connection.query(
+          `SELECT * FROM contacts
+           WHERE duplicateOf IS NULL AND ${field} = ?
+           ORDER BY createdAt ASC`,
+          [matchKey]
+        );
+
+        groups.push({
+          matchedOn: field === 'normalizedEmail' ? 'email' : 'phone',
+          matchKey,
+          contacts
+        });
+      }
+    }
+
+    connection.release();
+
+    res.json({ groups });
+
+  } catch (error) {
+    console.error('Error fetching duplicate contacts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/contacts/merge - Merge duplicate leads into a primary lead
+// The merged leads and their submissions become submission history of the
+// primary lead, and their notes move to it.
+router.post('/contacts/merge', authorize('contacts:manage'), async (req, res) => {
+  const { primaryId, duplicateIds } = req.body;
+  const primary = parseInt(primaryId);
+  const ids = Array.isArray(duplicateIds) ? duplicateIds.map((id) => parseInt(id)) : [];
+
+  if (isNaN(primary) || ids.length === 0 || ids.some(isNaN)) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['primaryId', 'duplicateIds']
+    });
+  }
+
+  if (ids.includes(primary)) {
+    return res.status(400).json({ error: 'A lead cannot be merged into itself' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [primaryRows] = await connection.query(
+      'SELECT id FROM contacts WHERE id = ? AND duplicateOf IS NULL FOR UPDATE',
+      [primary]
+    );
+
+    if (primaryRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Primary contact not found' });
+    }
+
+    const [duplicateRows] = await connection.query(
+      'SELECT id FROM contacts WHERE id IN (?) AND duplicateOf IS NULL FOR UPDATE',
+      [ids]
+    );
+
+    if (duplicateRows.length !== ids.length) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Some duplicate contacts were not found or are already merged' });
+    }
+
+    // Re-point submissions already linked to the merged leads
+    await connection.query(
+      'UPDATE contacts SET duplicateOf = ? WHERE duplicateOf IN (?)',
+      [primary, ids]
+    );
+
+    await connection.query(
+      'UPDATE contacts SET duplicateOf = ?, updatedAt = NOW() WHERE id IN (?)',
+      [primary, ids]
+    );
+
+    await connection.query(
+      'UPDATE contact_notes SET contactId = ? WHERE contactId IN (?)',
+      [primary, ids]
+    );
+
+    await connection.query(
+      `UPDATE contacts
+       SET submissionCount = 1 + (SELECT COUNT(*) FROM (SELECT id FROM contacts WHERE duplicateOf = ?) linked),
+           lastSubmittedAt = GREATEST(lastSubmittedAt, (SELECT MAX(createdAt) FROM (SELECT createdAt FROM contacts WHERE duplicateOf = ?) linked)),
+           updatedAt = NOW()
+       WHERE id = ?`,
+      [primary, primary, primary]
+    );
+
+    await connection.commit();
+
+    const [rows] = await connection.query(
+      'SELECT * FROM contacts WHERE id = ?',
+      [primary]
+    );
+
+    res.json({
+      message: 'Contacts merged successfully',
+      contact: rows[0],
+      merged: ids
+    });
+
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error merging contacts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/admin/contacts/bulk - Apply an action to many contacts in one transaction
+// Body: { action: 'delete'|'status'|'assign', ids: [...] | filter: {...list filters},
+//         status (for 'status'), adminId (for 'assign', null to unassign) }
+router.post('/contacts/bulk', authorize('contacts:manage'), async (req, res) => {
+  const { action, status, adminId } = req.body;
+
+  if (!['delete', 'status', 'assign'].includes(action)) {
+    return res.status(400).json({ error: 'Invalid action', allowed: ['delete', 'status', 'assign'] });
+  }
+
+  if (action === 'status' && !CONTACT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', allowed: CONTACT_STATUSES });
+  }
+
+  const assigneeId = adminId === null || adminId === undefined ? null : parseInt(adminId);
+
+  if (action === 'assign' && Number.isNaN(assigneeId)) {
+    return res.status(400).json({ error: 'Invalid admin ID' });
+  }
+
+  const target = parseBulkTarget(req.body, { keys: CONTACT_BULK_FILTER_KEYS, modifiers: ['includeDuplicates'] });
+
+  if (target.error) {
+    return res.status(400).json({ error: target.error, allowed: target.allowed });
+  }
+
+  let filters;
+  if (target.filter) {
+    filters = buildContactFilters(target.filter, req.user);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    if (filters.where === buildContactFilters(target.baseFilter, req.user).where) {
+      return res.status(400).json({ error: 'Filter does not narrow down the contacts' });
+    }
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    if (action === 'assign' && assigneeId !== null) {
+      const [adminRows] = await connection.execute(
+        'SELECT id FROM admins WHERE id = ? AND active = 1',
+        [assigneeId]
+      );
+
+      if (adminRows.length === 0) {
+        return res.status(400).json({ error: 'Assignee must be an active admin' });
+      }
+    }
+
+    let ids = target.ids;
+
+    if (filters) {
+      const resolved = await resolveFilterIds(
+        connection,
+        `SELECT c.id FROM contacts c ${filters.where} ORDER BY c.id`,
+        filters.params
+      );
+
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+
+      ids = resolved.ids;
+    }
+
+    const summary = await runBulk(connection, ids, async (id) => {
+      let result;
+
+      if (action === 'delete') {
+        [result] = await connection.execute('DELETE FROM contacts WHERE id = ?', [id]);
+      } else if (action === 'status') {
+        [result] = await connection.execute(
+          'UPDATE contacts SET status = ?, updatedAt = NOW() WHERE id = ?',
+          [status, id]
+        );
+      } else {
+        [result] = await connection.execute(
+          'UPDATE contacts SET assignedTo = ?, updatedAt = NOW() WHERE id = ?',
+          [assigneeId, id]
+        );
+      }
+
+      return result.affectedRows > 0;
+    });
+
+    res.json({ action, ...summary });
+
+  } catch (error) {
+    console.error('Error running bulk contact action:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+});
+
+// GET /api/admin/contacts/:id - Get a contact with its notes
+router.get('/contacts/:id', authorize('contacts:manage'), async (req, res) => {
+  try {
+    const contactId = parseInt(req.params.id);
+
+    if (isNaN(contactId)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [rows] = await connection.execute(
+      `SELECT c.*, a.name as assigneeName
+       FROM contacts c
+       LEFT JOIN admins a ON c.assignedTo = a.id
+       WHERE c.id = ?`,
+      [contactId]
+    );
+
+    if (rows.length === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const [notes] = await connection.execute(
+      `SELECT n.id, n.note, n.createdAt, n.adminId, a.name as authorName
+       FROM contact_notes n
+       LEFT JOIN admins a ON n.adminId = a.id
+       WHERE n.contactId = ?
+       ORDER BY n.createdAt DESC`,
+      [contactId]
+    );
+
+    // Repeat submissions linked to this lead
+    const [submissions] = await connection.execute(
+      `SELECT id, name, phone, email, postalCode, createdAt
+       FROM contacts
+       WHERE duplicateOf = ?
+       ORDER BY createdAt DESC`,
+      [contactId]
+    );
+
+    connection.release();
+
+    res.json({
+      contact: rows[0],
+      notes,
+      submissions
+    });
+
+  } catch (error) {
+    console.error('Error fetching contact:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/contacts/:id - Delete a contact
+router.delete('/contacts/:id', authorize('contacts:manage'), async (req, res) => {
+  try {
+    const contactId = parseInt(req.params.id);
+
+    if (isNaN(contactId)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+
+    const connection = await pool.getConnection();
+    
+    const [result] = await connection.execute(
+      'DELETE FROM contacts WHERE id = ?',
+      [contactId]
+    );
+
+    connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ message: 'Contact deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting contact:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/contacts/:id/status - Move a lead through the pipeline
+router.put('/contacts/:id/status', authorize('contacts:manage'), async (req, res) => {
+  try {
+    const contactId = parseInt(req.params.id);
+    const { status } = req.body;
+
+    if (isNaN(contactId)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+
+    if (!CONTACT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', allowed: CONTACT_STATUSES });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [result] = await connection.execute(
+      'UPDATE contacts SET status = ?, updatedAt = NOW() WHERE id = ?',
+      [status, contactId]
+    );
+
+    if (result.affectedRows === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const [rows] = await connection.execute(
+      'SELECT * FROM contacts WHERE id = ?',
+      [contactId]
+    );
+
+    connection.release();
+
+    res.json({
+      message: 'Contact status updated successfully',
+      contact: rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error updating contact status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/contacts/:id/assign - Assign a lead to an admin (null to unassign)
+router.put('/contacts/:id/assign', authorize('contacts:manage'), async (req, res) => {
+  try {
+    const contactId = parseInt(req.params.id);
+    const { adminId } = req.body;
+
+    if (isNaN(contactId)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+
+    const assigneeId = adminId === null || adminId === undefined ? null : parseInt(adminId);
+
+    if (Number.isNaN(assigneeId)) {
+      return res.status(400).json({ error: 'Invalid admin ID' });
+    }
+
+    const connection = await pool.getConnection();
+
+    if (assigneeId !== null) {
+      const [adminRows] = await connection.execute(
+        'SELECT id FROM admins WHERE id = ? AND active = 1',
+        [assigneeId]
+      );
+
+      if (adminRows.length === 0) {
+        connection.release();
+        return res.status(400).json({ error: 'Assignee must be an active admin' });
+      }
+    }
+
+    const [result] = await connection.execute(
+      'UPDATE contacts SET assignedTo = ?, updatedAt = NOW() WHERE id = ?',
+      [assigneeId, contactId]
+    );
+
+    if (result.affectedRows === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT c.*, a.name as assigneeName
+       FROM contacts c
+       LEFT JOIN admins a ON c.assignedTo = a.id
+       WHERE c.id = ?`,
+      [contactId]
+    );
+
+    connection.release();
+
+    res.json({
+      message: assigneeId ? 'Contact assigned successfully' : 'Contact unassigned successfully',
+      contact: rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error assigning contact:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/contacts/:id/notes - Add a note to a lead
+router.post('/contacts/:id/notes', authorize('contacts:manage'), async (req, res) => {
+  try {
+    const contactId = parseInt(req.params.id);
+    const { note } = req.body;
+
+    if (isNaN(contactId)) {
+      return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+
+    if (!note || !note.trim()) {
+      return res.status(400).json({ error: 'Note is required' });
+    }
+
+    if (note.length > 5000) {
+      return res.status(400).json({ error: 'Note must be less than 5000 characters' });
     }
 
     const connection = await pool.getConnection();
 
-    const query = 'SELECT * FROM admins WHERE username = ? AND active = 1';
-    const [rows] = await connection.execute(query, [username]);
-
-    connection.release();
+    const [contactRows] = await connection.execute(
+      'SELECT id FROM contacts WHERE id = ?',
+      [contactId]
+    );
 
-    if (rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (contactRows.length === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Contact not found' });
     }
 
-    const admin = rows[0];
-    const validPassword = await bcrypt.compare(password, admin.password);
-
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    const [result] = await connection.execute(
+      'INSERT INTO contact_notes (contactId, adminId, note, createdAt) VALUES (?, ?, ?, NOW())',
+      [contactId, req.user.id, note.trim()]
+    );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: admin.id, 
-        username: admin.username,
-        email: admin.email,
-        name: admin.name 
-      },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
+    const [rows] = await connection.execute(
+      `SELECT n.id, n.note, n.createdAt, n.adminId, a.name as authorName
+       FROM contact_notes n
+       LEFT JOIN admins a ON n.adminId = a.id
+       WHERE n.id = ?`,
+      [result.insertId]
     );
 
-    res.json({
-      token,
-      admin: {
-        id: admin.id,
-        username: admin.username,
-        email: admin.email,
-        name: admin.name
-      }
+    connection.release();
+
+    res.status(201).json({
+      message: 'Note added successfully',
+      note: rows[0]
     });
 
   } catch (error) {
-    console.error('Error in admin login:', error);
+    console.error('Error adding contact note:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/admin/contacts - Get all contacts
-router.get('/contacts', authenticateToken, async (req, res) => {
+// GET /api/admin/reviews - Get all reviews (admin)
+// Filters: ?status=pending|approved|rejected|hidden|all  ?verified=true|false|all (default true)
+//          ?flagged=true|false
+router.get('/reviews', authorize('reviews:moderate'), async (req, res) => {
   try {
-    const connection = await pool.getConnection();
-    
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
@@ -94,22 +1343,36 @@ router.get('/contacts', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid page or limit parameters' });
     }
 
+    const filter = buildReviewFilters(req.query);
+
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const connection = await pool.getConnection();
+
     const query = `
-      SELECT * FROM contacts 
-      ORDER BY createdAt DESC 
+      SELECT r.*, a.name as moderatorName
+      FROM reviews r
+      LEFT JOIN admins a ON r.moderatedBy = a.id
+      ${filter.where}
+      ORDER BY r.createdAt DESC
       LIMIT ?, ?
     `;
 
-    const [rows] = await connection.query(query, [offset, limit]);
+    const [rows] = await connection.query(query, [...filter.params, offset, limit]);
 
     // Get total count
-    const [countRows] = await connection.execute('SELECT COUNT(*) as total FROM contacts');
+    const [countRows] = await connection.query(
+      `SELECT COUNT(*) as total FROM reviews r ${filter.where}`,
+      filter.params
+    );
     const total = countRows[0].total;
 
     connection.release();
 
     res.json({
-      contacts: rows,
+      reviews: rows,
       pagination: {
         page,
         limit,
@@ -119,87 +1382,343 @@ router.get('/contacts', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching contacts:', error);
+    console.error('Error fetching reviews:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// DELETE /api/admin/contacts/:id - Delete a contact
-router.delete('/contacts/:id', authenticateToken, async (req, res) => {
+// POST /api/admin/reviews/bulk - Moderate or delete many reviews in one transaction
+// Body: { action: 'approve'|'unapprove'|'reject'|'hide'|'delete',
+//         ids: [...] | filter: { status, verified, flagged }, reason (for 'reject') }
+router.post('/reviews/bulk', authorize('reviews:moderate'), async (req, res) => {
+  const { action } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!REVIEW_BULK_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: 'Invalid action', allowed: REVIEW_BULK_ACTIONS });
+  }
+
+  if (action === 'reject' && !reason) {
+    return res.status(400).json({ error: 'A rejection reason is required' });
+  }
+
+  const target = parseBulkTarget(req.body, { keys: ['status', 'flagged'], modifiers: ['verified'] });
+
+  if (target.error) {
+    return res.status(400).json({ error: target.error, allowed: target.allowed });
+  }
+
+  let filters;
+  if (target.filter) {
+    filters = buildReviewFilters(target.filter);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    if (filters.where === buildReviewFilters(target.baseFilter).where) {
+      return res.status(400).json({ error: 'Filter does not narrow down the reviews' });
+    }
+  }
+
+  const connection = await pool.getConnection();
+
   try {
-    const contactId = parseInt(req.params.id);
+    let ids = target.ids;
 
-    if (isNaN(contactId)) {
-      return res.status(400).json({ error: 'Invalid contact ID' });
+    if (filters) {
+      const resolved = await resolveFilterIds(
+        connection,
+        `SELECT r.id FROM reviews r ${filters.where} ORDER BY r.id`,
+        filters.params
+      );
+
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+
+      ids = resolved.ids;
+    }
+
+    const summary = await runBulk(connection, ids, async (id) => {
+      if (action === 'delete') {
+        return applyDeletion(connection, id, req.user.id);
+      }
+
+      return applyModeration(connection, id, REVIEW_ACTION_STATUS[action], req.user.id, action === 'reject' ? reason : null);
+    });
+
+    res.json({ action, ...summary });
+
+  } catch (error) {
+    console.error('Error running bulk review action:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+});
+
+// GET /api/admin/reviews/:id/history - Moderation decisions on a review
+router.get('/reviews/:id/history', authorize('reviews:moderate'), async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
+    }
+
+    const history = await getModerationHistory(reviewId);
+
+    res.json({ history });
+
+  } catch (error) {
+    console.error('Error fetching review history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/reviews/:id/approve - Approve (publish) a review
+router.put('/reviews/:id/approve', authorize('reviews:moderate'), async (req, res) => {
+  await setReviewStatus(req, res, 'approved', 'Review approved successfully');
+});
+
+// PUT /api/admin/reviews/:id/unapprove - Unpublish a review, back to pending
+router.put('/reviews/:id/unapprove', authorize('reviews:moderate'), async (req, res) => {
+  await setReviewStatus(req, res, 'pending', 'Review moved back to pending');
+});
+
+// PUT /api/admin/reviews/:id/reject - Reject a review with a reason
+router.put('/reviews/:id/reject', authorize('reviews:moderate'), async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A rejection reason is required' });
+  }
+
+  if (reason.length > 1000) {
+    return res.status(400).json({ error: 'Reason must be less than 1000 characters' });
+  }
+
+  await setReviewStatus(req, res, 'rejected', 'Review rejected successfully', reason);
+});
+
+// PUT /api/admin/reviews/:id/hide - Hide a review from the public site without deleting it
+router.put('/reviews/:id/hide', authorize('reviews:moderate'), async (req, res) => {
+  await setReviewStatus(req, res, 'hidden', 'Review hidden successfully');
+});
+
+// PUT /api/admin/reviews/:id/reply - Add or edit the public reply to a review
+// Set `notifyReviewer: true` to email the reviewer about the reply.
+router.put('/reviews/:id/reply', authorize('reviews:moderate'), async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
+    }
+
+    if (!text) {
+      return res.status(400).json({ error: 'Reply text is required' });
+    }
+
+    if (text.length > 2000) {
+      return res.status(400).json({ error: 'Reply must be less than 2000 characters' });
     }
 
     const connection = await pool.getConnection();
-    
+
     const [result] = await connection.execute(
-      'DELETE FROM contacts WHERE id = ?',
-      [contactId]
+      `UPDATE reviews
+       SET replyText = ?, replyAuthorId = ?,
+           replyCreatedAt = COALESCE(replyCreatedAt, NOW()),
+           replyUpdatedAt = NOW(), updatedAt = NOW()
+       WHERE id = ?`,
+      [text, req.user.id, reviewId]
+    );
+
+    if (result.affectedRows === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT r.*, a.name as replyAuthorName
+       FROM reviews r
+       LEFT JOIN admins a ON r.replyAuthorId = a.id
+       WHERE r.id = ?`,
+      [reviewId]
+    );
+
+    connection.release();
+
+    const review = rows[0];
+
+    if (req.body.notifyReviewer === true) {
+      await queueEmailSafely({
+        to: review.email,
+        template: 'review-reply',
+        locale: review.locale || 'es',
+        data: {
+          name: review.name,
+          comment: review.comment,
+          reply: text,
+          replyAuthor: review.replyAuthorName
+        }
+      });
+    }
+
+    res.json({
+      message: 'Reply saved successfully',
+      review
+    });
+
+  } catch (error) {
+    console.error('Error saving review reply:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/reviews/:id/reply - Remove the public reply from a review
+router.delete('/reviews/:id/reply', authorize('reviews:moderate'), async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [result] = await connection.execute(
+      `UPDATE reviews
+       SET replyText = NULL, replyAuthorId = NULL, replyCreatedAt = NULL, replyUpdatedAt = NULL, updatedAt = NOW()
+       WHERE id = ?`,
+      [reviewId]
     );
 
     connection.release();
 
     if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Contact not found' });
+      return res.status(404).json({ error: 'Review not found' });
     }
 
-    res.json({ message: 'Contact deleted successfully' });
+    res.json({ message: 'Reply deleted successfully' });
 
   } catch (error) {
-    console.error('Error deleting contact:', error);
+    console.error('Error deleting review reply:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/admin/reviews - Get all reviews (admin)
-router.get('/reviews', authenticateToken, async (req, res) => {
+// DELETE /api/admin/reviews/:id - Delete a review
+router.delete('/reviews/:id', authorize('reviews:moderate'), async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+
+    if (isNaN(reviewId)) {
+      return res.status(400).json({ error: 'Invalid review ID' });
+    }
+
+    const deleted = await deleteReview(reviewId, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ message: 'Review deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/spam - Rejected form submissions (spam volume)
+router.get('/spam', authorize('spam:view'), async (req, res) => {
   try {
+    const daysParam = parseInt(req.query.days) || 30;
+    const days = Math.min(Math.max(daysParam, 1), 365);
+
     const connection = await pool.getConnection();
-    
+
+    const [daily] = await connection.query(
+      `SELECT DATE(createdAt) as day, form, reason, COUNT(*) as count
+       FROM spam_log
+       WHERE createdAt >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       GROUP BY DATE(createdAt), form, reason
+       ORDER BY day DESC`,
+      [days]
+    );
+
+    const [recent] = await connection.query(
+      'SELECT * FROM spam_log ORDER BY createdAt DESC LIMIT 50'
+    );
+
+    connection.release();
+
+    res.json({
+      days,
+      total: daily.reduce((sum, row) => sum + row.count, 0),
+      daily,
+      recent
+    });
+
+  } catch (error) {
+    console.error('Error fetching spam log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/emails - Outbox messages (failed and pending by default)
+router.get('/emails', authorize('emails:manage'), async (req, res) => {
+  try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
-    
-    // Ensure values are valid integers
+
     if (isNaN(page) || isNaN(limit) || page < 1 || limit < 1) {
       return res.status(400).json({ error: 'Invalid page or limit parameters' });
     }
+
     const status = req.query.status;
+    const statuses = ['pending', 'sending', 'sent', 'failed'];
+
+    if (status && status !== 'all' && !statuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter' });
+    }
 
-    let query = 'SELECT * FROM reviews';
+    let where = "WHERE status IN ('pending', 'failed')";
     const params = [];
 
-    if (status === 'pending') {
-      query += ' WHERE approved = 0';
-    } else if (status === 'approved') {
-      query += ' WHERE approved = 1';
+    if (status === 'all') {
+      where = '';
+    } else if (status) {
+      where = 'WHERE status = ?';
+      params.push(status);
     }
 
-    query += ' ORDER BY createdAt DESC LIMIT ?, ?';
-    params.push(offset, limit);
-
-    const [rows] = await connection.query(query, params);
+    const connection = await pool.getConnection();
 
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM reviews';
-    const countParams = [];
-    
-    if (status === 'pending') {
-      countQuery += ' WHERE approved = 0';
-    } else if (status === 'approved') {
-      countQuery += ' WHERE approved = 1';
-    }
+    // The rendered HTML is left out of the list
+    const [rows] = await connection.query(
+      `SELECT id, template, recipient, subject, status, attempts, maxAttempts, lastError,
+              nextAttemptAt, sentAt, createdAt, updatedAt
+       FROM email_outbox
+       ${where}
+       ORDER BY createdAt DESC
+       LIMIT ?, ?`,
+      [...params, offset, limit]
+    );
 
-    const [countRows] = await connection.execute(countQuery, countParams);
+    const [countRows] = await connection.query(
+      `SELECT COUNT(*) as total FROM email_outbox ${where}`,
+      params
+    );
     const total = countRows[0].total;
 
     connection.release();
 
     res.json({
-      reviews: rows,
+      emails: rows,
       pagination: {
         page,
         limit,
@@ -209,77 +1728,88 @@ router.get('/reviews', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching reviews:', error);
+    console.error('Error fetching email outbox:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// PUT /api/admin/reviews/:id/approve - Approve a review
-router.put('/reviews/:id/approve', authenticateToken, async (req, res) => {
+// POST /api/admin/emails/:id/resend - Queue an outbox message to be sent again
+router.post('/emails/:id/resend', authorize('emails:manage'), async (req, res) => {
   try {
-    const reviewId = parseInt(req.params.id);
+    const emailId = parseInt(req.params.id);
 
-    if (isNaN(reviewId)) {
-      return res.status(400).json({ error: 'Invalid review ID' });
+    if (isNaN(emailId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
     }
 
     const connection = await pool.getConnection();
 
     const [result] = await connection.execute(
-      'UPDATE reviews SET approved = 1, updatedAt = NOW() WHERE id = ?',
-      [reviewId]
+      `UPDATE email_outbox
+       SET status = 'pending', attempts = 0, lastError = NULL, nextAttemptAt = NOW(), updatedAt = NOW()
+       WHERE id = ? AND status != 'sending'`,
+      [emailId]
     );
 
+    connection.release();
+
     if (result.affectedRows === 0) {
-      connection.release();
-      return res.status(404).json({ error: 'Review not found' });
+      return res.status(404).json({ error: 'Email not found or currently sending' });
     }
 
-    // Get the updated review
-    const [rows] = await connection.execute(
-      'SELECT * FROM reviews WHERE id = ?',
-      [reviewId]
-    );
+    processOutbox();
 
-    connection.release();
+    res.json({ message: 'Email queued for resending' });
+
+  } catch (error) {
+    console.error('Error resending email:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/settings/autoresponders - Whether submitter confirmation emails are on
+router.get('/settings/autoresponders', authorize('settings:manage'), async (req, res) => {
+  try {
+    const settings = await getSettings(['autoresponder.contact.enabled', 'autoresponder.review.enabled']);
 
     res.json({
-      message: 'Review approved successfully',
-      review: rows[0]
+      contact: settings['autoresponder.contact.enabled'],
+      review: settings['autoresponder.review.enabled']
     });
 
   } catch (error) {
-    console.error('Error approving review:', error);
+    console.error('Error fetching autoresponder settings:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// DELETE /api/admin/reviews/:id - Delete a review
-router.delete('/reviews/:id', authenticateToken, async (req, res) => {
+// PUT /api/admin/settings/autoresponders - Turn each autoresponder on or off
+router.put('/settings/autoresponders', authorize('settings:manage'), async (req, res) => {
   try {
-    const reviewId = parseInt(req.params.id);
+    const { contact, review } = req.body;
 
-    if (isNaN(reviewId)) {
-      return res.status(400).json({ error: 'Invalid review ID' });
+    if ((contact !== undefined && typeof contact !== 'boolean') ||
+        (review !== undefined && typeof review !== 'boolean')) {
+      return res.status(400).json({ error: 'contact and review must be booleans' });
     }
 
-    const connection = await pool.getConnection();
-
-    const [result] = await connection.execute(
-      'DELETE FROM reviews WHERE id = ?',
-      [reviewId]
-    );
-
-    connection.release();
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Review not found' });
+    if (contact !== undefined) {
+      await setSetting('autoresponder.contact.enabled', contact);
+    }
+    if (review !== undefined) {
+      await setSetting('autoresponder.review.enabled', review);
     }
 
-    res.json({ message: 'Review deleted successfully' });
+    const settings = await getSettings(['autoresponder.contact.enabled', 'autoresponder.review.enabled']);
+
+    res.json({
+      message: 'Autoresponder settings updated successfully',
+      contact: settings['autoresponder.contact.enabled'],
+      review: settings['autoresponder.review.enabled']
+    });
 
   } catch (error) {
-    console.error('Error deleting review:', error);
+    console.error('Error updating autoresponder settings:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
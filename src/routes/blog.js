@@ -1,72 +1,165 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import pool from '../config/database.js';
+import { authorize } from '../middleware/auth.js';
+import { parseBulkTarget, resolveFilterIds, runBulk } from '../services/bulk.js';
+import { visiblePostCondition, parseScheduleDate } from '../services/blogSchedule.js';
+import { invalidateFeeds } from '../services/feeds.js';
+import { parseSearchQuery, buildSnippet, highlight } from '../services/blogSearch.js';
+import { parseTags, setPostTags, attachTags } from '../services/blogTags.js';
+import { attachMedia } from '../services/media.js';
+import { REVISION_FIELDS, saveRevision, listRevisions, getRevision, diffRevisions } from '../services/blogRevisions.js';
 
 const router = express.Router();
 
-// JWT middleware for protected routes
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Roughly 200 words per minute
+const calculateReadTime = (content) => {
+  const wordCount = content.replace(/<[^>]*>/g, '').split(/\s+/).length;
+  return Math.max(1, Math.ceil(wordCount / 200));
+};
+
+// Works out published/publishAt/unpublishAt from a create or update body.
+// A publishAt in the future keeps the post unpublished until then; one in the
+// past publishes it now. Publishing explicitly clears a pending publishAt.
+// Only the keys present in the body are returned, so updates stay partial.
+const resolveSchedule = (body) => {
+  const publishAt = parseScheduleDate(body.publishAt, 'publishAt');
+  const unpublishAt = parseScheduleDate(body.unpublishAt, 'unpublishAt');
+
+  if (publishAt && publishAt.error) {
+    return publishAt;
+  }
+  if (unpublishAt && unpublishAt.error) {
+    return unpublishAt;
+  }
+
+  const now = new Date();
+  const schedule = {};
+
+  if (body.published !== undefined) {
+    schedule.published = body.published ? 1 : 0;
+    if (body.published) {
+      schedule.publishAt = null;
+    }
+  }
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+  if (publishAt !== undefined) {
+    if (publishAt && publishAt > now) {
+      schedule.published = 0;
+      schedule.publishAt = publishAt;
+    } else if (publishAt) {
+      schedule.published = 1;
+      schedule.publishAt = null;
+    } else {
+      schedule.publishAt = null;
+    }
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+  if (unpublishAt !== undefined) {
+    if (unpublishAt && unpublishAt <= now) {
+      return { error: 'unpublishAt must be in the future' };
+    }
+    if (unpublishAt && publishAt && unpublishAt <= publishAt) {
+      return { error: 'unpublishAt must be after publishAt' };
     }
-    req.user = user;
-    next();
-  });
+    schedule.unpublishAt = unpublishAt;
+  }
+
+  return schedule;
+};
+
+// Joins a post's category (alias c) and exposes its name as `category` so
+// clients that predate managed categories keep working
+const categoryJoin = 'JOIN blog_categories c ON bp.categoryId = c.id';
+const categoryColumns = 'c.name as category, c.slug as categorySlug';
+
+const categoryExists = async (connection, categoryId) => {
+  const [rows] = await connection.query('SELECT id FROM blog_categories WHERE id = ?', [categoryId]);
+  return rows.length > 0;
+};
+
+// Resolves an imageId from a request body to its media row.
+// Returns undefined when absent, null to clear it, the media row, or { error }.
+const resolveImage = async (connection, value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const [rows] = await connection.query('SELECT id, url FROM media WHERE id = ?', [parseInt(value) || 0]);
+  return rows[0] || { error: 'Image not found in the media library' };
 };
 
+// Restricts a blog_categories (c) join to the category slug, or name, given twice as parameters
+const categoryCondition = '(c.slug = ? OR c.name = ?)';
+
+// Restricts a blog_posts (bp) query to posts with the tag slug given as parameter
+const tagCondition = `EXISTS (
+  SELECT 1 FROM blog_post_tags pt JOIN blog_tags t ON pt.tagId = t.id
+  WHERE pt.postId = bp.id AND t.slug = ?
+)`;
+
 // GET /api/blog - Get published blog posts
+// Optional: ?category=<category slug>  ?featured=true  ?tag=<tag slug>  ?limit=  ?offset=
 router.get('/', async (req, res) => {
   try {
     const connection = await pool.getConnection();
 
     const category = req.query.category;
     const featured = req.query.featured;
+    const tag = req.query.tag;
     const limitParam = parseInt(String(req.query.limit || '10'), 10);
     const offsetParam = parseInt(String(req.query.offset || '0'), 10);
     const limit = isNaN(limitParam) ? 10 : limitParam;
     const offset = isNaN(offsetParam) ? 0 : offsetParam;
 
-    let query = 'SELECT bp.*, a.name as authorName FROM blog_posts bp JOIN admins a ON bp.authorId = a.id WHERE bp.published = 1';
+    let query = `SELECT bp.*, ${categoryColumns}, a.name as authorName FROM blog_posts bp ${categoryJoin} JOIN admins a ON bp.authorId = a.id WHERE ${visiblePostCondition('bp')}`;
     const params = [];
 
     if (category && category !== 'all') {
-      query += ' AND bp.category = ?';
-      params.push(category);
+      query += ` AND ${categoryCondition}`;
+      params.push(category, category);
     }
 
     if (featured === 'true') {
       query += ' AND bp.featured = 1';
     }
 
+    if (tag) {
+      query += ` AND ${tagCondition}`;
+      params.push(tag);
+    }
+
     query += ' ORDER BY bp.createdAt DESC LIMIT ?, ?';
     params.push(parseInt(offset), parseInt(limit));
 
     const [rows] = await connection.query(query, params);
 
     // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) as total FROM blog_posts WHERE published = 1';
+    let countQuery = `SELECT COUNT(*) as total FROM blog_posts bp ${categoryJoin} WHERE ${visiblePostCondition('bp')}`;
     const countParams = [];
 
     if (category && category !== 'all') {
-      countQuery += ' AND category = ?';
-      countParams.push(category);
+      countQuery += ` AND ${categoryCondition}`;
+      countParams.push(category, category);
     }
 
     if (featured === 'true') {
-      countQuery += ' AND featured = 1';
+      countQuery += ' AND bp.featured = 1';
+    }
+
+    if (tag) {
+      countQuery += ` AND ${tagCondition}`;
+      countParams.push(tag);
     }
 
     const [countRows] = await connection.query(countQuery, countParams);
     const total = countRows[0].total;
 
+    await attachTags(connection, rows);
+    await attachMedia(connection, rows);
+
     connection.release();
 
     res.json({
@@ -85,8 +178,136 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/blog/search?q= - Full-text search over published posts, best matches first
+// Optional: ?category=<category slug>  ?limit=1-50 (default 10)  ?offset=
+router.get('/search', async (req, res) => {
+  try {
+    const { terms, against } = parseSearchQuery(req.query.q);
+
+    if (terms.length === 0) {
+      return res.status(400).json({ error: 'Search query q is required' });
+    }
+
+    const category = req.query.category;
+    const limitParam = parseInt(String(req.query.limit || '10'), 10);
+    const offsetParam = parseInt(String(req.query.offset || '0'), 10);
+    const limit = isNaN(limitParam) ? 10 : Math.min(Math.max(limitParam, 1), 50);
+    const offset = isNaN(offsetParam) ? 0 : Math.max(offsetParam, 0);
+
+    const match = 'MATCH(bp.title, bp.excerpt, bp.content, bp.tags) AGAINST(? IN BOOLEAN MODE)';
+    let where = `WHERE ${visiblePostCondition('bp')} AND ${match}`;
+    const params = [against];
+
+    if (category && category !== 'all') {
+      where += ` AND ${categoryCondition}`;
+      params.push(category, category);
+    }
+
+    const connection = await pool.getConnection();
+
+    // Title matches count double towards relevance
+    const query = `
+      SELECT bp.id, bp.title, bp.slug, bp.excerpt, bp.content, bp.image, bp.imageId, bp.categoryId, ${categoryColumns},
+             bp.tags, bp.readTime, bp.createdAt, a.name as authorName,
+             MATCH(bp.title) AGAINST(? IN BOOLEAN MODE) * 2 + ${match} as relevance
+      FROM blog_posts bp
+      ${categoryJoin}
+      JOIN admins a ON bp.authorId = a.id
+      ${where}
+      ORDER BY relevance DESC, bp.createdAt DESC
+      LIMIT ?, ?
+    `;
+
+    const [rows] = await connection.query(query, [against, against, ...params, offset, limit]);
+    const [countRows] = await connection.query(
+      `SELECT COUNT(*) as total FROM blog_posts bp ${categoryJoin} ${where}`,
+      params
+    );
+    const total = countRows[0].total;
+
+    await attachTags(connection, rows);
+    await attachMedia(connection, rows);
+
+    connection.release();
+
+    const posts = rows.map(({ content, ...post }) => ({
+      ...post,
+      highlightedTitle: highlight(post.title, terms),
+      snippet: buildSnippet([post.excerpt, content], terms)
+    }));
+
+    res.json({
+      query: req.query.q,
+      posts,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching blog posts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/blog/tags - Tags used by published posts, with post counts
+router.get('/tags', async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+
+    const query = `
+      SELECT t.id, t.name, t.slug, COUNT(*) as count
+      FROM blog_tags t
+      JOIN blog_post_tags pt ON pt.tagId = t.id
+      JOIN blog_posts bp ON pt.postId = bp.id
+      WHERE ${visiblePostCondition('bp')}
+      GROUP BY t.id, t.name, t.slug
+      ORDER BY count DESC, t.name ASC
+    `;
+
+    const [rows] = await connection.query(query);
+
+    connection.release();
+
+    res.json({ tags: rows });
+
+  } catch (error) {
+    console.error('Error fetching blog tags:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/blog/admin/scheduled - Upcoming scheduled publish/unpublish changes (admin only)
+router.get('/admin/scheduled', authorize('blog:write'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+
+    const query = `
+      SELECT bp.id, bp.title, bp.slug, bp.categoryId, ${categoryColumns},
+             bp.published, bp.publishAt, bp.unpublishAt, a.name as authorName
+      FROM blog_posts bp
+      ${categoryJoin}
+      JOIN admins a ON bp.authorId = a.id
+      WHERE bp.publishAt > NOW() OR bp.unpublishAt > NOW()
+      ORDER BY LEAST(COALESCE(bp.publishAt, bp.unpublishAt), COALESCE(bp.unpublishAt, bp.publishAt)) ASC
+    `;
+
+    const [rows] = await connection.query(query);
+    connection.release();
+
+    res.json({ posts: rows });
+
+  } catch (error) {
+    console.error('Error fetching scheduled blog posts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/blog/admin/:id - Get a specific blog post by ID for admin editing (includes unpublished)
-router.get('/admin/:id', authenticateToken, async (req, res) => {
+router.get('/admin/:id', authorize('blog:write'), async (req, res) => {
   try {
     const postId = parseInt(req.params.id);
 
@@ -97,14 +318,18 @@ router.get('/admin/:id', authenticateToken, async (req, res) => {
     const connection = await pool.getConnection();
 
     const query = `
-      SELECT bp.*, a.name as authorName, a.email as authorEmail
+      SELECT bp.*, ${categoryColumns}, a.name as authorName, a.email as authorEmail
       FROM blog_posts bp 
+      ${categoryJoin}
       JOIN admins a ON bp.authorId = a.id 
       WHERE bp.id = ?
     `;
 
     const [rows] = await connection.query(query, [postId]);
 
+    await attachTags(connection, rows);
+    await attachMedia(connection, rows);
+
     connection.release();
 
     if (rows.length === 0) {
@@ -126,10 +351,11 @@ router.get('/:slug', async (req, res) => {
     const slug = req.params.slug;
 
     const query = `
-      SELECT bp.*, a.name as authorName, a.email as authorEmail
+      SELECT bp.*, ${categoryColumns}, a.name as authorName, a.email as authorEmail
       FROM blog_posts bp 
+      ${categoryJoin}
       JOIN admins a ON bp.authorId = a.id 
-      WHERE bp.slug = ? AND bp.published = 1
+      WHERE bp.slug = ? AND ${visiblePostCondition('bp')}
     `;
 
     const [rows] = await connection.query(query, [slug]);
@@ -141,24 +367,32 @@ router.get('/:slug', async (req, res) => {
 
     const post = rows[0];
 
+    await attachTags(connection, rows);
+    await attachMedia(connection, rows);
+
     // Increment views count
     await connection.query(
-      'UPDATE blog_posts SET views = views + 1 WHERE id = ?',
+      // Keep updatedAt for real edits: the sitemap and feeds report it
+      'UPDATE blog_posts SET views = views + 1, updatedAt = updatedAt WHERE id = ?',
       [post.id]
     );
     post.views = post.views + 1;
 
     // Get related posts (same category, excluding current post)
     const relatedQuery = `
-      SELECT bp.id, bp.title, bp.slug, bp.excerpt, bp.image, bp.category, bp.createdAt, a.name as authorName
+      SELECT bp.id, bp.title, bp.slug, bp.excerpt, bp.image, bp.imageId, bp.categoryId, ${categoryColumns},
+             bp.createdAt, a.name as authorName
       FROM blog_posts bp 
+      ${categoryJoin}
       JOIN admins a ON bp.authorId = a.id 
-      WHERE bp.category = ? AND bp.id != ? AND bp.published = 1
+      WHERE bp.categoryId = ? AND bp.id != ? AND ${visiblePostCondition('bp')}
       ORDER BY bp.createdAt DESC 
       LIMIT 3
     `;
 
-    const [relatedRows] = await connection.query(relatedQuery, [post.category, post.id]);
+    const [relatedRows] = await connection.query(relatedQuery, [post.categoryId, post.id]);
+
+    await attachMedia(connection, relatedRows);
 
     connection.release();
 
@@ -173,32 +407,8 @@ router.get('/:slug', async (req, res) => {
   }
 });
 
-// GET /api/blog/categories/list - Get all blog categories
-router.get('/categories/list', async (req, res) => {
-  try {
-    const connection = await pool.getConnection();
-
-    const query = `
-      SELECT category, COUNT(*) as count 
-      FROM blog_posts 
-      WHERE published = 1 
-      GROUP BY category 
-      ORDER BY count DESC
-    `;
-
-    const [rows] = await connection.query(query);
-    connection.release();
-
-    res.json({ categories: rows });
-
-  } catch (error) {
-    console.error('Error fetching categories:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
 // POST /api/blog - Create a new blog post (admin only)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authorize('blog:write'), async (req, res) => {
   try {
     const {
       title,
@@ -206,22 +416,32 @@ router.post('/', authenticateToken, async (req, res) => {
       excerpt,
       content,
       image,
-      category,
-      tags,
       metaTitle,
       metaDescription,
-      published = false,
       featured = false
     } = req.body;
+    const categoryId = parseInt(req.body.categoryId);
 
     // Validation
-    if (!title || !slug || !excerpt || !content || !category) {
+    if (!title || !slug || !excerpt || !content || isNaN(categoryId)) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['title', 'slug', 'excerpt', 'content', 'category']
+        required: ['title', 'slug', 'excerpt', 'content', 'categoryId']
       });
     }
 
+    const schedule = resolveSchedule(req.body);
+
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const tags = parseTags(req.body.tags);
+
+    if (tags && tags.error) {
+      return res.status(400).json({ error: tags.error });
+    }
+
     const connection = await pool.getConnection();
 
     // Check if slug already exists
@@ -235,32 +455,62 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'El slug ya existe. Elige otro slug único.' });
     }
 
-    // Calculate read time (roughly 200 words per minute)
-    const wordCount = content.replace(/<[^>]*>/g, '').split(/\s+/).length;
-    const readTime = Math.max(1, Math.ceil(wordCount / 200));
+    if (!(await categoryExists(connection, categoryId))) {
+      connection.release();
+      return res.status(400).json({ error: 'Category not found' });
+    }
+
+    const media = await resolveImage(connection, req.body.imageId);
+
+    if (media && media.error) {
+      connection.release();
+      return res.status(400).json({ error: media.error });
+    }
+
+    const readTime = calculateReadTime(content);
 
     const query = `
       INSERT INTO blog_posts (
-        title, slug, excerpt, content, image, category, tags, metaTitle, metaDescription,
-        published, featured, readTime, authorId, createdAt, updatedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        title, slug, excerpt, content, image, imageId, categoryId, metaTitle, metaDescription,
+        published, publishAt, unpublishAt, featured, readTime, authorId, createdAt, updatedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
     `;
 
-    const [result] = await connection.query(query, [
-      title,
-      slug,
-      excerpt,
-      content,
-      image || null,
-      category,
-      tags || null,
-      metaTitle || title,
-      metaDescription || excerpt,
-      published ? 1 : 0,
-      featured ? 1 : 0,
-      readTime,
-      req.user.id
-    ]);
+    await connection.beginTransaction();
+
+    let result;
+
+    try {
+      [result] = await connection.query(query, [
+        title,
+        slug,
+        excerpt,
+        content,
+        // A library image also fills the plain image URL for older clients
+        image || (media ? media.url : null),
+        media ? media.id : null,
+        categoryId,
+        metaTitle || title,
+        metaDescription || excerpt,
+        schedule.published || 0,
+        schedule.publishAt || null,
+        schedule.unpublishAt || null,
+        featured ? 1 : 0,
+        readTime,
+        req.user.id
+      ]);
+
+      await setPostTags(connection, result.insertId, tags || []);
+
+      // The first revision lets the first edit be diffed and undone
+      await saveRevision(connection, result.insertId, req.user.id);
+      await connection.commit();
+      invalidateFeeds();
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      throw error;
+    }
 
     connection.release();
 
@@ -275,8 +525,85 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/blog/bulk - Publish, unpublish or delete many posts in one transaction (admin only)
+// Body: { action: 'publish'|'unpublish'|'delete', ids: [...] | filter: { category (slug), published } }
+// A filter must name a category; `published` only narrows it further.
+router.post('/bulk', authorize('blog:write'), async (req, res) => {
+  const { action } = req.body;
+  const actions = ['publish', 'unpublish', 'delete'];
+
+  if (!actions.includes(action)) {
+    return res.status(400).json({ error: 'Invalid action', allowed: actions });
+  }
+
+  const target = parseBulkTarget(req.body, { keys: ['category'], modifiers: ['published'] });
+
+  if (target.error) {
+    return res.status(400).json({ error: target.error, allowed: target.allowed });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    let ids = target.ids;
+
+    if (target.filter) {
+      const { category, published } = target.filter;
+
+      if (!category) {
+        return res.status(400).json({ error: 'Filter needs a category' });
+      }
+      if (published !== undefined && published !== 'true' && published !== 'false') {
+        return res.status(400).json({ error: 'Invalid published filter' });
+      }
+
+      const conditions = ['categoryId IN (SELECT id FROM blog_categories WHERE slug = ? OR name = ?)'];
+      const params = [category, category];
+
+      if (published !== undefined) {
+        conditions.push('published = ?');
+        params.push(published === 'true' ? 1 : 0);
+      }
+
+      const resolved = await resolveFilterIds(
+        connection,
+        `SELECT id FROM blog_posts WHERE ${conditions.join(' AND ')} ORDER BY id`,
+        params
+      );
+
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+
+      ids = resolved.ids;
+    }
+
+    const summary = await runBulk(connection, ids, async (id) => {
+      const [result] = action === 'delete'
+        ? await connection.query('DELETE FROM blog_posts WHERE id = ?', [id])
+        : await connection.query(
+          // A manual publish/unpublish replaces any pending schedule
+          'UPDATE blog_posts SET published = ?, publishAt = NULL, unpublishAt = NULL, updatedAt = NOW() WHERE id = ?',
+          [action === 'publish' ? 1 : 0, id]
+        );
+
+      return result.affectedRows > 0;
+    });
+
+    invalidateFeeds();
+
+    res.json({ action, ...summary });
+
+  } catch (error) {
+    console.error('Error running bulk blog action:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+});
+
 // PUT /api/blog/:id - Update a blog post (admin only)
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authorize('blog:write'), async (req, res) => {
   try {
     const postId = parseInt(req.params.id);
     const {
@@ -285,18 +612,32 @@ router.put('/:id', authenticateToken, async (req, res) => {
       excerpt,
       content,
       image,
-      category,
-      tags,
       metaTitle,
       metaDescription,
-      published,
       featured
     } = req.body;
+    const categoryId = req.body.categoryId === undefined ? undefined : parseInt(req.body.categoryId);
 
     if (isNaN(postId)) {
       return res.status(400).json({ error: 'Invalid post ID' });
     }
 
+    if (Number.isNaN(categoryId)) {
+      return res.status(400).json({ error: 'Invalid category ID' });
+    }
+
+    const schedule = resolveSchedule(req.body);
+
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const tags = parseTags(req.body.tags);
+
+    if (tags && tags.error) {
+      return res.status(400).json({ error: tags.error });
+    }
+
     const connection = await pool.getConnection();
 
     // Check if slug exists for different post
@@ -312,13 +653,21 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     }
 
-    // Calculate read time if content is provided
-    let readTime = null;
-    if (content) {
-      const wordCount = content.replace(/<[^>]*>/g, '').split(/\s+/).length;
-      readTime = Math.max(1, Math.ceil(wordCount / 200));
+    if (categoryId !== undefined && !(await categoryExists(connection, categoryId))) {
+      connection.release();
+      return res.status(400).json({ error: 'Category not found' });
     }
 
+    const media = await resolveImage(connection, req.body.imageId);
+
+    if (media && media.error) {
+      connection.release();
+      return res.status(400).json({ error: media.error });
+    }
+
+    // Calculate read time if content is provided
+    const readTime = content ? calculateReadTime(content) : null;
+
     // Build dynamic update query
     const updateFields = [];
     const updateValues = [];
@@ -342,14 +691,17 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (image !== undefined) {
       updateFields.push('image = ?');
       updateValues.push(image);
+    } else if (media !== undefined) {
+      updateFields.push('image = ?');
+      updateValues.push(media ? media.url : null);
     }
-    if (category) {
-      updateFields.push('category = ?');
-      updateValues.push(category);
+    if (media !== undefined) {
+      updateFields.push('imageId = ?');
+      updateValues.push(media ? media.id : null);
     }
-    if (tags !== undefined) {
-      updateFields.push('tags = ?');
-      updateValues.push(tags);
+    if (categoryId !== undefined) {
+      updateFields.push('categoryId = ?');
+      updateValues.push(categoryId);
     }
     if (metaTitle) {
       updateFields.push('metaTitle = ?');
@@ -359,9 +711,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
       updateFields.push('metaDescription = ?');
       updateValues.push(metaDescription);
     }
-    if (published !== undefined) {
-      updateFields.push('published = ?');
-      updateValues.push(published ? 1 : 0);
+    for (const field of ['published', 'publishAt', 'unpublishAt']) {
+      if (schedule[field] !== undefined) {
+        updateFields.push(`${field} = ?`);
+        updateValues.push(schedule[field]);
+      }
     }
     if (featured !== undefined) {
       updateFields.push('featured = ?');
@@ -377,16 +731,35 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
     const query = `UPDATE blog_posts SET ${updateFields.join(', ')} WHERE id = ?`;
 
-    const [result] = await connection.query(query, updateValues);
+    await connection.beginTransaction();
 
-    if (result.affectedRows === 0) {
+    let revision;
+
+    try {
+      const [result] = await connection.query(query, updateValues);
+
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+
+      if (tags) {
+        await setPostTags(connection, postId, tags);
+      }
+
+      revision = await saveRevision(connection, postId, req.user.id);
+      await connection.commit();
+      invalidateFeeds();
+    } catch (error) {
+      await connection.rollback();
       connection.release();
-      return res.status(404).json({ error: 'Blog post not found' });
+      throw error;
     }
 
     connection.release();
 
-    res.json({ message: 'Blog post updated successfully' });
+    res.json({ message: 'Blog post updated successfully', revision });
 
   } catch (error) {
     console.error('Error updating blog post:', error);
@@ -394,8 +767,173 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/blog/:id/revisions - List a post's revisions, newest first (admin only)
+router.get('/:id/revisions', authorize('blog:write'), async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+
+    if (isNaN(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+
+    const revisions = await listRevisions(postId);
+
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+
+    res.json({ revisions });
+
+  } catch (error) {
+    console.error('Error fetching blog post revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/blog/:id/revisions/diff?from=&to= - Field-level diff between two revisions (admin only)
+router.get('/:id/revisions/diff', authorize('blog:write'), async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (isNaN(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be revision numbers' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      getRevision(postId, from),
+      getRevision(postId, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from: { revision: from, authorName: fromRevision.authorName, createdAt: fromRevision.createdAt },
+      to: { revision: to, authorName: toRevision.authorName, createdAt: toRevision.createdAt },
+      changes: diffRevisions(fromRevision, toRevision)
+    });
+
+  } catch (error) {
+    console.error('Error diffing blog post revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/blog/:id/revisions/:revision - Get a single revision (admin only)
+router.get('/:id/revisions/:revision', authorize('blog:write'), async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const revisionNumber = parseInt(req.params.revision);
+
+    if (isNaN(postId) || isNaN(revisionNumber)) {
+      return res.status(400).json({ error: 'Invalid post ID or revision' });
+    }
+
+    const revision = await getRevision(postId, revisionNumber);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+
+  } catch (error) {
+    console.error('Error fetching blog post revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/blog/:id/revisions/:revision/restore - Restore a revision as a new revision (admin only)
+router.post('/:id/revisions/:revision/restore', authorize('blog:write'), async (req, res) => {
+  const postId = parseInt(req.params.id);
+  const revisionNumber = parseInt(req.params.revision);
+
+  if (isNaN(postId) || isNaN(revisionNumber)) {
+    return res.status(400).json({ error: 'Invalid post ID or revision' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [postRows] = await connection.query(
+      'SELECT id FROM blog_posts WHERE id = ? FOR UPDATE',
+      [postId]
+    );
+    const revision = postRows.length > 0
+      ? await getRevision(postId, revisionNumber, connection)
+      : null;
+
+    if (!revision) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Another post may have taken the slug since this revision was saved
+    const [slugRows] = await connection.query(
+      'SELECT id FROM blog_posts WHERE slug = ? AND id != ?',
+      [revision.slug, postId]
+    );
+
+    if (slugRows.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'The revision slug is now used by another post' });
+    }
+
+    if (!(await categoryExists(connection, revision.categoryId))) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'The revision category has been deleted' });
+    }
+
+    // The image may have been deleted from the media library since
+    if (revision.imageId && !(await resolveImage(connection, revision.imageId)).id) {
+      revision.imageId = null;
+    }
+
+    await connection.query(
+      `UPDATE blog_posts SET ${REVISION_FIELDS.map((field) => `${field} = ?`).join(', ')}, readTime = ?, updatedAt = NOW() WHERE id = ?`,
+      [...REVISION_FIELDS.map((field) => revision[field]), calculateReadTime(revision.content), postId]
+    );
+
+    // Relink the tag entities from the restored comma-separated copy
+    const restoredTags = parseTags(revision.tags);
+
+    if (restoredTags.error) {
+      await connection.rollback();
+      return res.status(400).json({ error: restoredTags.error });
+    }
+
+    await setPostTags(connection, postId, restoredTags);
+
+    const newRevision = await saveRevision(connection, postId, req.user.id, revisionNumber);
+    await connection.commit();
+    invalidateFeeds();
+
+    res.json({
+      message: 'Blog post revision restored successfully',
+      restoredFrom: revisionNumber,
+      revision: newRevision
+    });
+
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error restoring blog post revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+});
+
 // DELETE /api/blog/:id - Delete a blog post (admin only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authorize('blog:write'), async (req, res) => {
   try {
     const postId = parseInt(req.params.id);
 
@@ -416,6 +954,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Blog post not found' });
     }
 
+    invalidateFeeds();
+
     res.json({ message: 'Blog post deleted successfully' });
 
   } catch (error) {
@@ -0,0 +1,213 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { authorize } from '../middleware/auth.js';
+import { visiblePostCondition } from '../services/blogSchedule.js';
+import { slugify } from '../services/blogTags.js';
+import { invalidateFeeds } from '../services/feeds.js';
+
+const router = express.Router();
+
+// Validates name/slug/description/image/sortOrder from a create or update
+// body. Returns the columns to write, or { error }. The slug defaults to the
+// slugified name on create.
+const parseCategoryBody = (body, { partial }) => {
+  const { name, description, image, sortOrder } = body;
+  const category = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Category name is required' };
+    }
+    category.name = name.trim();
+  }
+
+  if (body.slug !== undefined || !partial) {
+    const slug = slugify(body.slug || name);
+    if (!slug) {
+      return { error: 'Invalid category slug' };
+    }
+    category.slug = slug;
+  }
+
+  if (description !== undefined) {
+    category.description = description || null;
+  }
+
+  if (image !== undefined) {
+    category.image = image || null;
+  }
+
+  if (sortOrder !== undefined) {
+    const order = parseInt(sortOrder);
+    if (isNaN(order)) {
+      return { error: 'sortOrder must be a number' };
+    }
+    category.sortOrder = order;
+  }
+
+  return category;
+};
+
+const isDuplicateError = (error) => error.code === 'ER_DUP_ENTRY';
+
+// GET /api/blog/categories - All categories with their published post counts
+// (also served at /list, the path used before categories were managed)
+router.get(['/', '/list'], async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+
+    const query = `
+      SELECT c.id, c.name, c.slug, c.description, c.image, c.sortOrder, COUNT(bp.id) as count
+      FROM blog_categories c
+      LEFT JOIN blog_posts bp ON bp.categoryId = c.id AND ${visiblePostCondition('bp')}
+      GROUP BY c.id
+      ORDER BY c.sortOrder ASC, c.name ASC
+    `;
+
+    const [rows] = await connection.query(query);
+    connection.release();
+
+    res.json({ categories: rows });
+
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/blog/categories - Create a category (admin only)
+router.post('/', authorize('blog:write'), async (req, res) => {
+  try {
+    const category = parseCategoryBody(req.body, { partial: false });
+
+    if (category.error) {
+      return res.status(400).json({ error: category.error });
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.query(
+        'INSERT INTO blog_categories (name, slug, description, image, sortOrder) VALUES (?, ?, ?, ?, ?)',
+        [category.name, category.slug, category.description || null, category.image || null, category.sortOrder || 0]
+      );
+
+      const [rows] = await connection.query('SELECT * FROM blog_categories WHERE id = ?', [result.insertId]);
+
+      res.status(201).json({
+        message: 'Category created successfully',
+        category: rows[0]
+      });
+    } finally {
+      connection.release();
+    }
+
+  } catch (error) {
+    if (isDuplicateError(error)) {
+      return res.status(409).json({ error: 'A category with this name or slug already exists' });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/blog/categories/:id - Update a category (admin only)
+router.put('/:id', authorize('blog:write'), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+
+    if (isNaN(categoryId)) {
+      return res.status(400).json({ error: 'Invalid category ID' });
+    }
+
+    const category = parseCategoryBody(req.body, { partial: true });
+
+    if (category.error) {
+      return res.status(400).json({ error: category.error });
+    }
+
+    // Build dynamic update query
+    const updateFields = Object.keys(category).map((field) => `${field} = ?`);
+    const updateValues = Object.values(category);
+
+    updateFields.push('updatedAt = NOW()');
+    updateValues.push(categoryId);
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.query(
+        `UPDATE blog_categories SET ${updateFields.join(', ')} WHERE id = ?`,
+        updateValues
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      // Category names appear in the feeds
+      invalidateFeeds();
+
+      const [rows] = await connection.query('SELECT * FROM blog_categories WHERE id = ?', [categoryId]);
+
+      res.json({
+        message: 'Category updated successfully',
+        category: rows[0]
+      });
+    } finally {
+      connection.release();
+    }
+
+  } catch (error) {
+    if (isDuplicateError(error)) {
+      return res.status(409).json({ error: 'A category with this name or slug already exists' });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/blog/categories/:id - Delete a category that has no posts (admin only)
+router.delete('/:id', authorize('blog:write'), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+
+    if (isNaN(categoryId)) {
+      return res.status(400).json({ error: 'Invalid category ID' });
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [postRows] = await connection.query(
+        'SELECT COUNT(*) as count FROM blog_posts WHERE categoryId = ?',
+        [categoryId]
+      );
+
+      if (postRows[0].count > 0) {
+        return res.status(409).json({
+          error: 'Move or delete the posts in this category first',
+          posts: postRows[0].count
+        });
+      }
+
+      const [result] = await connection.query('DELETE FROM blog_categories WHERE id = ?', [categoryId]);
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      invalidateFeeds();
+
+      res.json({ message: 'Category deleted successfully' });
+    } finally {
+      connection.release();
+    }
+
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
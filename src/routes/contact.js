@@ -1,22 +1,16 @@
 import express from 'express';
-import nodemailer from 'nodemailer';
 import pool from '../config/database.js';
+import { authorize } from '../middleware/auth.js';
+import { protectForm } from '../middleware/spamProtection.js';
+import { findServiceArea, postalCodeRegex } from '../services/coverage.js';
+import { findRecentLead, normalizeEmail, normalizePhone } from '../services/leads.js';
+import { queueEmailSafely, resolveLocale, formatDate } from '../services/mail.js';
+import { getSetting } from '../services/settings.js';
 
 const router = express.Router();
 
-// Nodemailer configuration
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: parseInt(process.env.SMTP_PORT || '587'),
-  secure: process.env.SMTP_SECURE === 'true',
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
-  },
-});
-
 // POST /api/contact - Submit contact form
-router.post('/', async (req, res) => {
+router.post('/', protectForm('contact'), async (req, res) => {
   try {
     const { name, phone, email, postalCode } = req.body;
 
@@ -35,50 +29,93 @@ router.post('/', async (req, res) => {
     }
 
     // Postal code validation (5 digits)
-    const postalCodeRegex = /^\d{5}$/;
     if (!postalCodeRegex.test(postalCode)) {
       return res.status(400).json({ error: 'Postal code must be 5 digits' });
     }
 
+    // Out-of-area leads are still saved, but flagged and sent to the general inbox
+    const serviceArea = await findServiceArea(postalCode);
+    const inServiceArea = Boolean(serviceArea);
+
+    // A repeat submission is kept as history of the existing lead, not a new lead
+    const normalizedEmail = normalizeEmail(email);
+    const normalizedPhone = normalizePhone(phone);
+    const existingLead = await findRecentLead(normalizedEmail, normalizedPhone);
+    const duplicateOf = existingLead ? existingLead.id : null;
+
     const connection = await pool.getConnection();
 
     // Save to database
     const query = `
-      INSERT INTO contacts (name, phone, email, postalCode, createdAt) 
-      VALUES (?, ?, ?, ?, NOW())
+      INSERT INTO contacts (
+        name, phone, email, postalCode, normalizedEmail, normalizedPhone,
+        inServiceArea, region, duplicateOf, createdAt, lastSubmittedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
     `;
 
-    const [result] = await connection.execute(query, [name, phone, email, postalCode]);
+    const [result] = await connection.execute(query, [
+      name,
+      phone,
+      email,
+      postalCode,
+      normalizedEmail,
+      normalizedPhone,
+      inServiceArea ? 1 : 0,
+      serviceArea ? serviceArea.region : null,
+      duplicateOf
+    ]);
+
+    if (duplicateOf) {
+      await connection.execute(
+        'UPDATE contacts SET submissionCount = submissionCount + 1, lastSubmittedAt = NOW() WHERE id = ?',
+        [duplicateOf]
+      );
+    }
+
     connection.release();
 
-    // Send notification email
-    if (process.env.SMTP_USER && process.env.CONTACT_EMAIL) {
-      try {
-        await transporter.sendMail({
-          from: process.env.SMTP_USER,
-          to: process.env.CONTACT_EMAIL,
-          subject: 'Nuevo contacto desde la web - Asiste Health Care',
-          html: `
-            <h2>Nuevo contacto recibido</h2>
-            <p><strong>Nombre:</strong> ${name}</p>
-            <p><strong>Teléfono:</strong> ${phone}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Código Postal:</strong> ${postalCode}</p>
-            <p><strong>Fecha:</strong> ${new Date().toLocaleString('es-ES')}</p>
-            
-            <hr>
-            <p><em>Este mensaje fue enviado desde el formulario de contacto de asistehealth.com</em></p>
-          `
-        });
-      } catch (emailError) {
-        console.error('Error sending notification email:', emailError);
-        // Don't fail the request if email fails
-      }
+    // Send notification email to the regional coordinator, or CONTACT_EMAIL otherwise.
+    // Duplicates were already notified with the original submission.
+    const notifyEmail = serviceArea ? serviceArea.coordinatorEmail : process.env.CONTACT_EMAIL;
+
+    if (notifyEmail && !duplicateOf) {
+      await queueEmailSafely({
+        to: notifyEmail,
+        template: 'contact-notification',
+        data: {
+          name,
+          phone,
+          email,
+          postalCode,
+          region: serviceArea ? serviceArea.region : 'Fuera de zona de cobertura',
+          date: new Date().toLocaleString('es-ES')
+        }
+      });
+    }
+
+    // Confirmation to the person who filled in the form (once per lead, like the notification)
+    if (!duplicateOf && await getSetting('autoresponder.contact.enabled')) {
+      const locale = resolveLocale(req);
+
+      await queueEmailSafely({
+        to: email,
+        template: 'contact-confirmation',
+        locale,
+        data: {
+          reference: result.insertId,
+          name,
+          phone,
+          email,
+          postalCode,
+          date: formatDate(new Date(), locale)
+        }
+      });
     }
 
     res.status(201).json({
       message: 'Contact form submitted successfully',
-      contactId: result.insertId
+      contactId: result.insertId,
+      inServiceArea
     });
 
   } catch (error) {
@@ -88,7 +125,7 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/contact - Get all contacts (admin only)
-router.get('/', async (req, res) => {
+router.get('/', authorize('contacts:manage'), async (req, res) => {
   try {
     const page = Number(req.query.page) || 1;
     const limit = Number(req.query.limit) || 10;
@@ -127,7 +164,7 @@ router.get('/', async (req, res) => {
 });
 
 // DELETE /api/contact/:id - Delete a contact (admin only)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('contacts:manage'), async (req, res) => {
   try {
     const contactId = parseInt(req.params.id);
 
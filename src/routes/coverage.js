@@ -0,0 +1,208 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { authorize } from '../middleware/auth.js';
+import { findServiceArea, postalCodeRegex } from '../services/coverage.js';
+
+const router = express.Router();
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// GET /api/coverage - List service areas (admin only)
+router.get('/', authorize('coverage:manage'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+
+    let query = 'SELECT * FROM service_areas';
+    const params = [];
+
+    if (req.query.region) {
+      query += ' WHERE region = ?';
+      params.push(req.query.region);
+    }
+
+    query += ' ORDER BY region ASC, postalCode ASC';
+
+    const [rows] = await connection.query(query, params);
+    connection.release();
+
+    res.json({ areas: rows });
+
+  } catch (error) {
+    console.error('Error fetching service areas:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/coverage/:postalCode - Check if a postal code is in our service area
+router.get('/:postalCode', async (req, res) => {
+  try {
+    const postalCode = req.params.postalCode;
+
+    if (!postalCodeRegex.test(postalCode)) {
+      return res.status(400).json({ error: 'Postal code must be 5 digits' });
+    }
+
+    const area = await findServiceArea(postalCode);
+
+    // Coordinator emails are internal, only the region is public
+    res.json({
+      postalCode,
+      covered: Boolean(area),
+      region: area ? area.region : null
+    });
+
+  } catch (error) {
+    console.error('Error checking coverage:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/coverage - Add postal codes to a region (admin only)
+// Accepts a single `postalCode` or a `postalCodes` array; existing codes are updated.
+router.post('/', authorize('coverage:manage'), async (req, res) => {
+  try {
+    const { postalCode, postalCodes, region, coordinatorEmail, active = true } = req.body;
+    const codes = Array.isArray(postalCodes) ? postalCodes : [postalCode].filter(Boolean);
+
+    // Validation
+    if (codes.length === 0 || !region || !coordinatorEmail) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['postalCode or postalCodes', 'region', 'coordinatorEmail']
+      });
+    }
+
+    const invalidCodes = codes.filter((code) => !postalCodeRegex.test(String(code)));
+    if (invalidCodes.length > 0) {
+      return res.status(400).json({ error: 'Postal codes must be 5 digits', invalid: invalidCodes });
+    }
+
+    if (!emailRegex.test(coordinatorEmail)) {
+      return res.status(400).json({ error: 'Invalid coordinator email format' });
+    }
+
+    const connection = await pool.getConnection();
+
+    const values = codes.map((code) => [String(code), region, coordinatorEmail, active ? 1 : 0]);
+
+    await connection.query(
+      `INSERT INTO service_areas (postalCode, region, coordinatorEmail, active)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE region = VALUES(region), coordinatorEmail = VALUES(coordinatorEmail),
+         active = VALUES(active), updatedAt = NOW()`,
+      [values]
+    );
+
+    const [rows] = await connection.query(
+      'SELECT * FROM service_areas WHERE postalCode IN (?) ORDER BY postalCode ASC',
+      [codes.map(String)]
+    );
+
+    connection.release();
+
+    res.status(201).json({
+      message: 'Service areas saved successfully',
+      areas: rows
+    });
+
+  } catch (error) {
+    console.error('Error saving service areas:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/coverage/:id - Update a service area (admin only)
+router.put('/:id', authorize('coverage:manage'), async (req, res) => {
+  try {
+    const areaId = parseInt(req.params.id);
+    const { region, coordinatorEmail, active } = req.body;
+
+    if (isNaN(areaId)) {
+      return res.status(400).json({ error: 'Invalid service area ID' });
+    }
+
+    if (coordinatorEmail && !emailRegex.test(coordinatorEmail)) {
+      return res.status(400).json({ error: 'Invalid coordinator email format' });
+    }
+
+    // Build dynamic update query
+    const updateFields = [];
+    const updateValues = [];
+
+    if (region) {
+      updateFields.push('region = ?');
+      updateValues.push(region);
+    }
+    if (coordinatorEmail) {
+      updateFields.push('coordinatorEmail = ?');
+      updateValues.push(coordinatorEmail);
+    }
+    if (active !== undefined) {
+      updateFields.push('active = ?');
+      updateValues.push(active ? 1 : 0);
+    }
+
+    updateFields.push('updatedAt = NOW()');
+    updateValues.push(areaId);
+
+    const connection = await pool.getConnection();
+
+    const [result] = await connection.execute(
+      `UPDATE service_areas SET ${updateFields.join(', ')} WHERE id = ?`,
+      updateValues
+    );
+
+    if (result.affectedRows === 0) {
+      connection.release();
+      return res.status(404).json({ error: 'Service area not found' });
+    }
+
+    const [rows] = await connection.execute(
+      'SELECT * FROM service_areas WHERE id = ?',
+      [areaId]
+    );
+
+    connection.release();
+
+    res.json({
+      message: 'Service area updated successfully',
+      area: rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error updating service area:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/coverage/:id - Remove a postal code from coverage (admin only)
+router.delete('/:id', authorize('coverage:manage'), async (req, res) => {
+  try {
+    const areaId = parseInt(req.params.id);
+
+    if (isNaN(areaId)) {
+      return res.status(400).json({ error: 'Invalid service area ID' });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [result] = await connection.execute(
+      'DELETE FROM service_areas WHERE id = ?',
+      [areaId]
+    );
+
+    connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Service area not found' });
+    }
+
+    res.json({ message: 'Service area deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting service area:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import { getFeed, getSitemap } from '../services/feeds.js';
+
+const router = express.Router();
+
+// Serves a cached feed document; 404 when the category does not exist
+const sendFeed = (format, contentType) => async (req, res) => {
+  try {
+    const feed = await getFeed(format, req.params.slug || null);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.type(contentType).set('Cache-Control', 'public, max-age=300').send(feed);
+
+  } catch (error) {
+    console.error(`Error generating ${format} feed:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// GET /feed.xml - RSS 2.0 feed of the latest published posts
+router.get('/feed.xml', sendFeed('rss', 'application/rss+xml'));
+
+// GET /atom.xml - Atom feed of the latest published posts
+router.get('/atom.xml', sendFeed('atom', 'application/atom+xml'));
+
+// GET /categories/:slug/feed.xml - RSS 2.0 feed for one category
+router.get('/categories/:slug/feed.xml', sendFeed('rss', 'application/rss+xml'));
+
+// GET /categories/:slug/atom.xml - Atom feed for one category
+router.get('/categories/:slug/atom.xml', sendFeed('atom', 'application/atom+xml'));
+
+// GET /sitemap.xml - Every published post with its last modification date
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const sitemap = await getSitemap();
+
+    res.type('application/xml').set('Cache-Control', 'public, max-age=300').send(sitemap);
+
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,221 @@
+import express from 'express';
+import multer from 'multer';
+import pool from '../config/database.js';
+import { authorize } from '../middleware/auth.js';
+import {
+  MEDIA_MAX_UPLOAD_BYTES, ACCEPTED_MIME_TYPES, createMedia, getMedia, removeMediaFiles, toMedia
+} from '../services/media.js';
+
+const router = express.Router();
+
+// Files are kept in memory only long enough to validate and resize them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_UPLOAD_BYTES, files: 1 }
+}).single('file');
+
+const parseUpload = (req, res) => new Promise((resolve, reject) => {
+  upload(req, res, (error) => (error ? reject(error) : resolve()));
+});
+
+// GET /api/media - Browse the media library, newest first (admin only)
+// Optional: ?q= (filename or alt text)  ?limit=1-100 (default 30)  ?offset=
+router.get('/', authorize('blog:write'), async (req, res) => {
+  try {
+    const limitParam = parseInt(String(req.query.limit || '30'), 10);
+    const offsetParam = parseInt(String(req.query.offset || '0'), 10);
+    const limit = isNaN(limitParam) ? 30 : Math.min(Math.max(limitParam, 1), 100);
+    const offset = isNaN(offsetParam) ? 0 : Math.max(offsetParam, 0);
+
+    let where = '';
+    const params = [];
+
+    if (req.query.q) {
+      where = 'WHERE m.filename LIKE ? OR m.altText LIKE ?';
+      params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+    }
+
+    const connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      `SELECT m.*, a.name as uploadedByName
+       FROM media m
+       LEFT JOIN admins a ON m.uploadedBy = a.id
+       ${where}
+       ORDER BY m.createdAt DESC, m.id DESC
+       LIMIT ?, ?`,
+      [...params, offset, limit]
+    );
+    const [countRows] = await connection.query(`SELECT COUNT(*) as total FROM media m ${where}`, params);
+    const total = countRows[0].total;
+
+    connection.release();
+
+    res.json({
+      media: rows.map(toMedia),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/media - Upload an image as multipart/form-data (admin only)
+// Fields: file (the image), altText
+router.post('/', authorize('blog:write'), async (req, res) => {
+  try {
+    try {
+      await parseUpload(req, res);
+    } catch (error) {
+      if (error instanceof multer.MulterError) {
+        return error.code === 'LIMIT_FILE_SIZE'
+          ? res.status(413).json({ error: `Files can be at most ${MEDIA_MAX_UPLOAD_BYTES / 1024 / 1024} MB` })
+          : res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Missing file field' });
+    }
+
+    if (!ACCEPTED_MIME_TYPES.includes(req.file.mimetype)) {
+      return res.status(400).json({ error: `Unsupported file type, use one of: ${ACCEPTED_MIME_TYPES.join(', ')}` });
+    }
+
+    const media = await createMedia({
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      altText: req.body.altText,
+      adminId: req.user.id
+    });
+
+    if (media.error) {
+      return res.status(400).json({ error: media.error });
+    }
+
+    res.status(201).json({
+      message: 'Media uploaded successfully',
+      media
+    });
+
+  } catch (error) {
+    console.error('Error uploading media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/media/:id - Get a media item (admin only)
+router.get('/:id', authorize('blog:write'), async (req, res) => {
+  try {
+    const mediaId = parseInt(req.params.id);
+
+    if (isNaN(mediaId)) {
+      return res.status(400).json({ error: 'Invalid media ID' });
+    }
+
+    const media = await getMedia(mediaId);
+
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.json({ media });
+
+  } catch (error) {
+    console.error('Error fetching media item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/media/:id - Update the alt text of a media item (admin only)
+router.put('/:id', authorize('blog:write'), async (req, res) => {
+  try {
+    const mediaId = parseInt(req.params.id);
+    const { altText } = req.body;
+
+    if (isNaN(mediaId)) {
+      return res.status(400).json({ error: 'Invalid media ID' });
+    }
+
+    if (altText === undefined) {
+      return res.status(400).json({ error: 'altText is required' });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [result] = await connection.execute(
+      'UPDATE media SET altText = ?, updatedAt = NOW() WHERE id = ?',
+      [altText || null, mediaId]
+    );
+
+    connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.json({
+      message: 'Media updated successfully',
+      media: await getMedia(mediaId)
+    });
+
+  } catch (error) {
+    console.error('Error updating media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/media/:id - Delete a media item that no post uses (admin only)
+router.delete('/:id', authorize('blog:write'), async (req, res) => {
+  try {
+    const mediaId = parseInt(req.params.id);
+
+    if (isNaN(mediaId)) {
+      return res.status(400).json({ error: 'Invalid media ID' });
+    }
+
+    const media = await getMedia(mediaId);
+
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [postRows] = await connection.query(
+        'SELECT id, title FROM blog_posts WHERE imageId = ?',
+        [mediaId]
+      );
+
+      if (postRows.length > 0) {
+        return res.status(409).json({
+          error: 'This image is used by blog posts',
+          posts: postRows
+        });
+      }
+
+      await connection.query('DELETE FROM media WHERE id = ?', [mediaId]);
+    } finally {
+      connection.release();
+    }
+
+    await removeMediaFiles(media);
+
+    res.json({ message: 'Media deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,36 +1,213 @@
 import express from 'express';
-import nodemailer from 'nodemailer';
 import pool from '../config/database.js';
+import { authorize } from '../middleware/auth.js';
+import { protectForm } from '../middleware/spamProtection.js';
+import { queueEmailSafely, resolveLocale, formatDate } from '../services/mail.js';
+import { getSetting } from '../services/settings.js';
+import { buildReviewFilters, moderateReview, deleteReview } from '../services/reviewModeration.js';
+import { REVIEW_VERIFICATION_TTL_HOURS } from '../services/reviewVerification.js';
+import { generateToken, hashToken } from '../services/tokens.js';
+import { screenText } from '../services/reviewScreening.js';
 
 const router = express.Router();
 
-// Nodemailer configuration
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: parseInt(process.env.SMTP_PORT || '587'),
-  secure: process.env.SMTP_SECURE === 'true',
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
+// Number of latest reviews embedded in the summary's JSON-LD
+const SUMMARY_JSONLD_REVIEWS = 5;
+
+// Emails sent once a reviewer confirms their address: the moderation
+// notification to the team and the autoresponder to the reviewer
+const sendReviewConfirmedEmails = async (review) => {
+  if (process.env.CONTACT_EMAIL) {
+    await queueEmailSafely({
+      to: process.env.CONTACT_EMAIL,
+      template: 'review-notification',
+      data: {
+        name: review.name,
+        email: review.email,
+        rating: review.rating,
+        comment: review.comment,
+        date: new Date(review.createdAt).toLocaleString('es-ES')
+      }
+    });
+  }
+
+  if (await getSetting('autoresponder.review.enabled')) {
+    const locale = review.locale || 'es';
+
+    await queueEmailSafely({
+      to: review.email,
+      template: 'review-confirmation',
+      locale,
+      data: {
+        reference: review.id,
+        name: review.name,
+        rating: review.rating,
+        comment: review.comment,
+        date: formatDate(new Date(review.createdAt), locale)
+      }
+    });
+  }
+};
+
+// Keyset pagination for the public list. Every sort ends with createdAt and
+// id so the order is total, and `after` builds the condition for the rows
+// that follow the cursor row.
+const newerFirst = (cursor) => ({
+  condition: '(r.createdAt < ? OR (r.createdAt = ? AND r.id < ?))',
+  params: [cursor.createdAt, cursor.createdAt, cursor.id]
+});
+
+const REVIEW_SORTS = {
+  newest: {
+    orderBy: 'r.createdAt DESC, r.id DESC',
+    after: newerFirst
+  },
+  highest: {
+    orderBy: 'r.rating DESC, r.createdAt DESC, r.id DESC',
+    after: (cursor) => {
+      const tie = newerFirst(cursor);
+      return {
+        condition: `(r.rating < ? OR (r.rating = ? AND ${tie.condition}))`,
+        params: [cursor.rating, cursor.rating, ...tie.params]
+      };
+    }
   },
+  lowest: {
+    orderBy: 'r.rating ASC, r.createdAt DESC, r.id DESC',
+    after: (cursor) => {
+      const tie = newerFirst(cursor);
+      return {
+        condition: `(r.rating > ? OR (r.rating = ? AND ${tie.condition}))`,
+        params: [cursor.rating, cursor.rating, ...tie.params]
+      };
+    }
+  }
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort key
+const encodeCursor = (row, sort) => Buffer.from(JSON.stringify({
+  sort,
+  id: row.id,
+  rating: row.rating,
+  createdAt: new Date(row.createdAt).getTime()
+})).toString('base64url');
+
+const decodeCursor = (value, sort) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+
+    if (cursor.sort !== sort || !Number.isInteger(cursor.id) ||
+        !Number.isInteger(cursor.rating) || !Number.isFinite(cursor.createdAt)) {
+      return null;
+    }
+
+    return { id: cursor.id, rating: cursor.rating, createdAt: new Date(cursor.createdAt) };
+  } catch {
+    return null;
+  }
+};
+
+// Public shape of a review: no reviewer email or moderation internals
+const toPublicReview = (row) => ({
+  id: row.id,
+  name: row.name,
+  rating: row.rating,
+  comment: row.comment,
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt,
+  reply: row.replyText ? {
+    text: row.replyText,
+    authorName: row.replyAuthorName,
+    createdAt: row.replyCreatedAt,
+    updatedAt: row.replyUpdatedAt
+  } : null
 });
 
 // GET /api/reviews - Get approved reviews
+// Query: ?sort=newest|highest|lowest  ?minRating=1-5  ?minLength=<chars>
+//        ?limit=1-100 (default 50)  ?cursor=<nextCursor from the previous page>
 router.get('/', async (req, res) => {
   try {
+    const sort = req.query.sort || 'newest';
+    const limitParam = parseInt(String(req.query.limit || '50'), 10);
+    const limit = isNaN(limitParam) ? 50 : Math.min(Math.max(limitParam, 1), 100);
+
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({ error: 'Invalid sort', allowed: Object.keys(REVIEW_SORTS) });
+    }
+
+    const conditions = ["r.status = 'approved'"];
+    const params = [];
+
+    if (req.query.minRating) {
+      const minRating = parseInt(req.query.minRating);
+      if (isNaN(minRating) || minRating < 1 || minRating > 5) {
+        return res.status(400).json({ error: 'minRating must be between 1 and 5' });
+      }
+      conditions.push('r.rating >= ?');
+      params.push(minRating);
+    }
+
+    if (req.query.minLength) {
+      const minLength = parseInt(req.query.minLength);
+      if (isNaN(minLength) || minLength < 0) {
+        return res.status(400).json({ error: 'minLength must be a positive number' });
+      }
+      conditions.push('CHAR_LENGTH(r.comment) > ?');
+      params.push(minLength);
+    }
+
+    const filterWhere = `WHERE ${conditions.join(' AND ')}`;
+    const filterParams = [...params];
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, sort);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      const after = REVIEW_SORTS[sort].after(cursor);
+      conditions.push(after.condition);
+      params.push(...after.params);
+    }
+
     const connection = await pool.getConnection();
 
+    // Fetch one extra row to know whether there is another page
     const query = `
-      SELECT * FROM reviews 
-      WHERE approved = 1 
-      ORDER BY createdAt DESC 
-      LIMIT 50
+      SELECT r.*, a.name as replyAuthorName
+      FROM reviews r
+      LEFT JOIN admins a ON r.replyAuthorId = a.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${REVIEW_SORTS[sort].orderBy}
+      LIMIT ?
     `;
 
-    const [reviews] = await connection.execute(query);
+    const [rows] = await connection.query(query, [...params, limit + 1]);
+
+    // Get total counts: matching the filters, and all published reviews
+    const [countRows] = await connection.query(
+      `SELECT
+         (SELECT COUNT(*) FROM reviews r ${filterWhere}) as total,
+         (SELECT COUNT(*) FROM reviews WHERE status = 'approved') as totalApproved`,
+      filterParams
+    );
+
     connection.release();
 
-    res.json({ reviews });
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    res.json({
+      reviews: page.map(toPublicReview),
+      pagination: {
+        total: countRows[0].total,
+        totalApproved: countRows[0].totalApproved,
+        limit,
+        sort,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+      }
+    });
 
   } catch (error) {
     console.error('Error fetching reviews:', error);
@@ -38,8 +215,89 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/reviews/summary - Rating summary over all approved reviews, with JSON-LD for SEO
+router.get('/summary', async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+
+    const [distributionRows] = await connection.query(
+      `SELECT rating, COUNT(*) as count
+       FROM reviews
+       WHERE status = 'approved'
+       GROUP BY rating`
+    );
+
+    // Latest reviews to embed as schema.org Review items
+    const [latestRows] = await connection.query(
+      `SELECT name, rating, comment, createdAt
+       FROM reviews
+       WHERE status = 'approved'
+       ORDER BY createdAt DESC
+       LIMIT ?`,
+      [SUMMARY_JSONLD_REVIEWS]
+    );
+
+    connection.release();
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let sum = 0;
+
+    for (const row of distributionRows) {
+      if (distribution[row.rating] !== undefined) {
+        distribution[row.rating] = row.count;
+        total += row.count;
+        sum += row.rating * row.count;
+      }
+    }
+
+    const average = total > 0 ? Math.round((sum / total) * 100) / 100 : null;
+
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'LocalBusiness',
+      name: process.env.BUSINESS_NAME || 'Asiste Health Care',
+      url: process.env.FRONTEND_URL || 'http://localhost:5173'
+    };
+
+    // Search engines reject an AggregateRating without reviews
+    if (total > 0) {
+      jsonLd.aggregateRating = {
+        '@type': 'AggregateRating',
+        ratingValue: average.toFixed(1),
+        reviewCount: total,
+        bestRating: '5',
+        worstRating: '1'
+      };
+      jsonLd.review = latestRows.map((review) => ({
+        '@type': 'Review',
+        author: { '@type': 'Person', name: review.name },
+        datePublished: new Date(review.createdAt).toISOString().slice(0, 10),
+        reviewBody: review.comment,
+        reviewRating: {
+          '@type': 'Rating',
+          ratingValue: String(review.rating),
+          bestRating: '5',
+          worstRating: '1'
+        }
+      }));
+    }
+
+    res.json({
+      average,
+      total,
+      distribution,
+      jsonLd
+    });
+
+  } catch (error) {
+    console.error('Error fetching review summary:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /api/reviews - Submit a new review
-router.post('/', async (req, res) => {
+router.post('/', protectForm('review'), async (req, res) => {
   try {
     const { name, email, rating, comment } = req.body;
 
@@ -72,47 +330,51 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Comment must be less than 1000 characters' });
     }
 
+    // Flag or mask abusive language and personal/health information. When the
+    // text is masked the original is kept for moderators only.
+    const screening = screenText(comment);
+
+    // Language of the emails we send the reviewer (verification, confirmation, replies)
+    const locale = resolveLocale(req);
+    const verificationToken = generateToken();
+
     const connection = await pool.getConnection();
 
-    // Save to database (pending approval)
+    // Save to database (pending approval, hidden from moderators until the email is confirmed)
     const query = `
-      INSERT INTO reviews (name, email, rating, comment, approved, createdAt, updatedAt) 
-      VALUES (?, ?, ?, ?, 0, NOW(), NOW())
+      INSERT INTO reviews (
+        name, email, rating, comment, originalComment, flagged, screeningFlags, locale, approved, status,
+        verified, verificationTokenHash, verificationExpiresAt, createdAt, updatedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 'pending', 0, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW(), NOW())
     `;
 
-    const [result] = await connection.execute(query, [name, email, ratingNum, comment]);
+    const [result] = await connection.execute(query, [
+      name,
+      email,
+      ratingNum,
+      screening.text,
+      screening.masked ? comment : null,
+      screening.flagged ? 1 : 0,
+      screening.flagged ? JSON.stringify(screening.reasons) : null,
+      locale,
+      hashToken(verificationToken),
+      REVIEW_VERIFICATION_TTL_HOURS
+    ]);
     connection.release();
 
-    // Send notification email to admin
-    if (process.env.SMTP_USER && process.env.CONTACT_EMAIL) {
-      try {
-        await transporter.sendMail({
-          from: process.env.SMTP_USER,
-          to: process.env.CONTACT_EMAIL,
-          subject: 'Nueva reseña pendiente de aprobación - Asiste Health Care',
-          html: `
-            <h2>Nueva reseña recibida</h2>
-            <p><strong>Nombre:</strong> ${name}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Calificación:</strong> ${rating}/5 ⭐</p>
-            <p><strong>Comentario:</strong></p>
-            <blockquote style="border-left: 4px solid #ccc; padding-left: 16px; margin: 16px 0; font-style: italic;">
-              ${comment}
-            </blockquote>
-            <p><strong>Fecha:</strong> ${new Date().toLocaleString('es-ES')}</p>
-            
-            <hr>
-            <p><em>Esta reseña está pendiente de aprobación. Puedes aprobarla desde el panel de administración.</em></p>
-          `
-        });
-      } catch (emailError) {
-        console.error('Error sending notification email:', emailError);
-        // Don't fail the request if email fails
+    await queueEmailSafely({
+      to: email,
+      template: 'review-verification',
+      locale,
+      data: {
+        name,
+        verifyUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reviews/verify?token=${verificationToken}`,
+        ttlHours: REVIEW_VERIFICATION_TTL_HOURS
       }
-    }
+    });
 
     res.status(201).json({
-      message: 'Review submitted successfully and is pending approval',
+      message: 'Review submitted successfully. Please confirm it from the link sent to your email',
       reviewId: result.insertId
     });
 
@@ -122,41 +384,85 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /api/reviews/verify - Confirm a review from the emailed link
+router.post('/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const connection = await pool.getConnection();
+
+    const [rows] = await connection.execute(
+      `SELECT * FROM reviews
+       WHERE verificationTokenHash = ? AND verified = 0 AND verificationExpiresAt > NOW()`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      connection.release();
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    const review = rows[0];
+
+    // Only the request that flips `verified` goes on, so a link used twice
+    // at the same time confirms (and notifies) once
+    const [result] = await connection.execute(
+      `UPDATE reviews
+       SET verified = 1, verifiedAt = NOW(), verificationTokenHash = NULL, verificationExpiresAt = NULL, updatedAt = NOW()
+       WHERE id = ? AND verified = 0`,
+      [review.id]
+    );
+
+    connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    // The review now enters the moderation queue
+    await sendReviewConfirmedEmails(review);
+
+    res.json({
+      message: 'Review confirmed successfully and is pending approval',
+      reviewId: review.id
+    });
+
+  } catch (error) {
+    console.error('Error verifying review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/reviews/admin - Get all reviews (admin only)
-router.get('/admin', async (req, res) => {
+// Filters: ?status=pending|approved|rejected|hidden|all  ?verified=true|false|all (default true)
+//          ?flagged=true|false
+router.get('/admin', authorize('reviews:moderate'), async (req, res) => {
   try {
     const page = Number(req.query.page) || 1;
     const limit = Number(req.query.limit) || 10;
     const offset = (page - 1) * limit;
-    const status = req.query.status;
-
-    const connection = await pool.getConnection();
 
-    let query = 'SELECT * FROM reviews';
-    const params = [];
+    const filter = buildReviewFilters(req.query);
 
-    if (status === 'pending') {
-      query += ' WHERE approved = 0';
-    } else if (status === 'approved') {
-      query += ' WHERE approved = 1';
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
     }
 
-    query += ' ORDER BY createdAt DESC LIMIT ?, ?';
-    params.push(offset, limit);
-    
-    const [reviews] = await connection.query(query, params);
+    const connection = await pool.getConnection();
 
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM reviews';
-    const countParams = [];
+    const query = `SELECT r.* FROM reviews r ${filter.where} ORDER BY r.createdAt DESC LIMIT ?, ?`;
     
-    if (status === 'pending') {
-      countQuery += ' WHERE approved = 0';
-    } else if (status === 'approved') {
-      countQuery += ' WHERE approved = 1';
-    }
+    const [reviews] = await connection.query(query, [...filter.params, offset, limit]);
 
-    const [countRows] = await connection.execute(countQuery, countParams);
+    // Get total count
+    const [countRows] = await connection.query(
+      `SELECT COUNT(*) as total FROM reviews r ${filter.where}`,
+      filter.params
+    );
     const total = countRows[0].total;
 
     connection.release();
@@ -178,7 +484,7 @@ router.get('/admin', async (req, res) => {
 });
 
 // PUT /api/reviews/:id/approve - Approve a review (admin only)
-router.put('/:id/approve', async (req, res) => {
+router.put('/:id/approve', authorize('reviews:moderate'), async (req, res) => {
   try {
     const reviewId = parseInt(req.params.id);
 
@@ -186,29 +492,19 @@ router.put('/:id/approve', async (req, res) => {
       return res.status(400).json({ error: 'Invalid review ID' });
     }
 
-    const connection = await pool.getConnection();
-
-    const [result] = await connection.execute(
-      'UPDATE reviews SET approved = 1, updatedAt = NOW() WHERE id = ?',
-      [reviewId]
-    );
+    const review = await moderateReview(reviewId, 'approved', req.user.id);
 
-    if (result.affectedRows === 0) {
-      connection.release();
+    if (!review) {
       return res.status(404).json({ error: 'Review not found' });
     }
 
-    // Get the updated review
-    const [rows] = await connection.execute(
-      'SELECT * FROM reviews WHERE id = ?',
-      [reviewId]
-    );
-
-    connection.release();
+    if (review.error) {
+      return res.status(409).json({ error: review.error });
+    }
 
     res.json({
       message: 'Review approved successfully',
-      review: rows[0]
+      review
     });
 
   } catch (error) {
@@ -218,7 +514,7 @@ router.put('/:id/approve', async (req, res) => {
 });
 
 // DELETE /api/reviews/:id - Delete a review (admin only)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('reviews:moderate'), async (req, res) => {
   try {
     const reviewId = parseInt(req.params.id);
 
@@ -226,16 +522,9 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid review ID' });
     }
 
-    const connection = await pool.getConnection();
-
-    const [result] = await connection.execute(
-      'DELETE FROM reviews WHERE id = ?',
-      [reviewId]
-    );
-
-    connection.release();
+    const deleted = await deleteReview(reviewId, req.user.id);
 
-    if (result.affectedRows === 0) {
+    if (!deleted) {
       return res.status(404).json({ error: 'Review not found' });
     }
 
@@ -0,0 +1,62 @@
+import pool from '../config/database.js';
+
+// Post fields captured in each revision. Publishing state and counters are
+// not content, so they are left out and a restore does not touch them.
+export const REVISION_FIELDS = [
+  'title', 'slug', 'excerpt', 'content', 'image', 'imageId', 'categoryId', 'tags', 'metaTitle', 'metaDescription'
+];
+
+const columns = REVISION_FIELDS.join(', ');
+
+// Snapshots the current state of a post as its next revision, using a
+// connection the caller has already opened a transaction on.
+// Returns the new revision number.
+export const saveRevision = async (connection, postId, adminId, restoredFrom = null) => {
+  // Locking the post serializes revision numbering for it
+  await connection.query('SELECT id FROM blog_posts WHERE id = ? FOR UPDATE', [postId]);
+
+  const [rows] = await connection.query(
+    'SELECT COALESCE(MAX(revision), 0) + 1 as nextRevision FROM blog_post_revisions WHERE postId = ?',
+    [postId]
+  );
+  const revision = rows[0].nextRevision;
+
+  await connection.query(
+    `INSERT INTO blog_post_revisions (postId, revision, ${columns}, authorId, restoredFrom)
+     SELECT id, ?, ${columns}, ?, ? FROM blog_posts WHERE id = ?`,
+    [revision, adminId, restoredFrom, postId]
+  );
+
+  return revision;
+};
+
+export const listRevisions = async (postId) => {
+  const [rows] = await pool.execute(
+    `SELECT r.revision, r.title, r.slug, r.restoredFrom, r.createdAt, r.authorId, a.name as authorName
+     FROM blog_post_revisions r
+     LEFT JOIN admins a ON r.authorId = a.id
+     WHERE r.postId = ?
+     ORDER BY r.revision DESC`,
+    [postId]
+  );
+
+  return rows;
+};
+
+export const getRevision = async (postId, revision, connection = pool) => {
+  const [rows] = await connection.query(
+    `SELECT r.*, a.name as authorName
+     FROM blog_post_revisions r
+     LEFT JOIN admins a ON r.authorId = a.id
+     WHERE r.postId = ? AND r.revision = ?`,
+    [postId, revision]
+  );
+
+  return rows[0] || null;
+};
+
+// Field-level diff between two revisions: one entry per field that differs
+export const diffRevisions = (from, to) =>
+  REVISION_FIELDS
+    .filter((field) => (from[field] ?? null) !== (to[field] ?? null))
+    .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
@@ -0,0 +1,70 @@
+import pool from '../config/database.js';
+import { invalidateFeeds } from './feeds.js';
+
+const INTERVAL_MS = parseInt(process.env.BLOG_SCHEDULER_INTERVAL_SECONDS || '60') * 1000;
+
+let timer = null;
+
+// SQL condition for posts visible on the public site. A post whose publishAt
+// has passed is visible even if the scheduler has not flipped `published` yet,
+// and one whose unpublishAt has passed is hidden right away.
+export const visiblePostCondition = (alias = 'bp') =>
+  `(${alias}.published = 1 OR ${alias}.publishAt <= NOW()) AND (${alias}.unpublishAt IS NULL OR ${alias}.unpublishAt > NOW())`;
+
+// Parses an optional schedule timestamp from a request body.
+// Returns undefined when absent, null to clear it, a Date, or { error }.
+export const parseScheduleDate = (value, field) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+
+  if (isNaN(date.getTime())) {
+    return { error: `Invalid ${field}, expected an ISO 8601 date` };
+  }
+
+  return date;
+};
+
+// Applies due schedule changes: publishes posts whose publishAt has passed
+// and unpublishes those whose unpublishAt has passed. The timestamps are
+// cleared once applied so a later manual change is not undone.
+export const runBlogSchedule = async () => {
+  try {
+    const [published] = await pool.execute(
+      'UPDATE blog_posts SET published = 1, publishAt = NULL, updatedAt = NOW() WHERE publishAt <= NOW()'
+    );
+
+    const [unpublished] = await pool.execute(
+      'UPDATE blog_posts SET published = 0, unpublishAt = NULL, updatedAt = NOW() WHERE unpublishAt <= NOW()'
+    );
+
+    if (published.affectedRows > 0 || unpublished.affectedRows > 0) {
+      invalidateFeeds();
+      console.log(`🗓️  Blog schedule: ${published.affectedRows} published, ${unpublished.affectedRows} unpublished`);
+    }
+  } catch (error) {
+    console.error('Error running blog schedule:', error);
+  }
+};
+
+export const startBlogScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(runBlogSchedule, INTERVAL_MS);
+  runBlogSchedule();
+};
+
+export const stopBlogScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
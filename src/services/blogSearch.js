@@ -0,0 +1,111 @@
+// Helpers for blog full-text search: turning visitor input into a safe
+// MySQL boolean-mode query and building highlighted snippets.
+
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Lowercases and strips accents so "Cuidado" matches "cuidádo", like the
+// accent-insensitive collation MySQL uses for the full-text index
+const fold = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+export const stripHtml = (html) => String(html ?? '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Splits the visitor's query into words and builds a boolean-mode AGAINST
+// string matching any of them as a prefix. Operators typed by the visitor
+// are dropped rather than passed through to MySQL.
+export const parseSearchQuery = (q) => {
+  const terms = [...new Set((String(q ?? '').match(/[\p{L}\p{N}]+/gu) || [])
+    .map(fold)
+    .filter((term) => term.length >= 2))]
+    .slice(0, MAX_TERMS);
+
+  return {
+    terms,
+    against: terms.map((term) => `${term}*`).join(' ')
+  };
+};
+
+// Start and end offsets in `text` of every word starting with one of `terms`
+const findMatches = (text, terms) => {
+  const chars = [...text];
+  // One folded character per original character so offsets line up
+  const foldedText = chars.map((char) => fold(char)[0] || ' ').join('');
+  const wordStart = /[^\p{L}\p{N}]/u;
+  const matches = [];
+
+  for (const term of terms) {
+    let index = foldedText.indexOf(term);
+    while (index !== -1) {
+      if (index === 0 || wordStart.test(foldedText[index - 1])) {
+        matches.push([index, index + term.length]);
+      }
+      index = foldedText.indexOf(term, index + 1);
+    }
+  }
+
+  matches.sort((a, b) => a[0] - b[0]);
+
+  // Merge overlaps so a word matching two terms is marked once
+  const merged = [];
+  for (const match of matches) {
+    const last = merged[merged.length - 1];
+    if (last && match[0] <= last[1]) {
+      last[1] = Math.max(last[1], match[1]);
+    } else {
+      merged.push([...match]);
+    }
+  }
+
+  return { chars, matches: merged };
+};
+
+// Escapes `text` and wraps every match in <mark>
+export const highlight = (text, terms) => {
+  const { chars, matches } = findMatches(text, terms);
+  let html = '';
+  let cursor = 0;
+
+  for (const [start, end] of matches) {
+    html += escapeHtml(chars.slice(cursor, start).join(''));
+    html += `<mark>${escapeHtml(chars.slice(start, end).join(''))}</mark>`;
+    cursor = end;
+  }
+
+  return html + escapeHtml(chars.slice(cursor).join(''));
+};
+
+// Picks a window of plain text around the first match in the first source
+// that has one (falling back to the start of the first source) and highlights it
+export const buildSnippet = (sources, terms) => {
+  const texts = sources.map(stripHtml).filter(Boolean);
+  const text = texts.find((candidate) => findMatches(candidate, terms).matches.length > 0) || texts[0] || '';
+  const chars = [...text];
+  const first = findMatches(text, terms).matches[0];
+
+  let start = first ? Math.max(0, first[0] - SNIPPET_LEAD) : 0;
+  if (start > 0) {
+    // Do not cut the leading word in half
+    const space = chars.slice(start, first[0]).indexOf(' ');
+    start = space === -1 ? start : start + space + 1;
+  }
+
+  let end = Math.min(chars.length, start + SNIPPET_LENGTH);
+  if (end < chars.length) {
+    const space = chars.slice(0, end).lastIndexOf(' ');
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${highlight(chars.slice(start, end).join(''), terms)}${end < chars.length ? '…' : ''}`;
+};
@@ -0,0 +1,111 @@
+// Blog tags are stored in blog_tags and linked to posts through
+// blog_post_tags. blog_posts.tags keeps a comma-separated copy of the tag
+// names so full-text search and revisions see them without a join.
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 100;
+
+// Also used by the tag and category data migrations (migrations/017, 018)
+export const slugify = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Accepts an array of tag names (or the legacy comma-separated string) and
+// returns unique { name, slug } pairs, or { error }. Names cannot contain
+// commas, since blog_posts.tags and revisions keep them comma-joined.
+export const parseTags = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (value === null || value === '') {
+    return [];
+  }
+
+  const names = typeof value === 'string' ? value.split(',') : value;
+
+  if (!Array.isArray(names) || names.some((name) => typeof name !== 'string')) {
+    return { error: 'tags must be an array of strings' };
+  }
+
+  if (names.some((name) => name.includes(','))) {
+    return { error: 'Tags cannot contain commas' };
+  }
+
+  const tags = new Map();
+
+  for (const raw of names) {
+    const name = raw.trim();
+    const slug = slugify(name);
+
+    if (!name) {
+      continue;
+    }
+    if (!slug) {
+      return { error: `Tag "${name}" needs at least one Latin letter or digit` };
+    }
+    if (name.length > MAX_TAG_LENGTH) {
+      return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    if (!tags.has(slug)) {
+      tags.set(slug, { name, slug });
+    }
+  }
+
+  if (tags.size > MAX_TAGS) {
+    return { error: `A post can have at most ${MAX_TAGS} tags` };
+  }
+
+  return [...tags.values()];
+};
+
+// Replaces the tags of a post, creating missing tags, using a connection
+// the caller has already opened a transaction on
+export const setPostTags = async (connection, postId, tags) => {
+  await connection.query('DELETE FROM blog_post_tags WHERE postId = ?', [postId]);
+
+  for (const tag of tags) {
+    // LAST_INSERT_ID(id) makes insertId the existing tag's ID on a duplicate slug
+    const [result] = await connection.query(
+      'INSERT INTO blog_tags (name, slug) VALUES (?, ?) ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)',
+      [tag.name, tag.slug]
+    );
+
+    await connection.query(
+      'INSERT INTO blog_post_tags (postId, tagId) VALUES (?, ?)',
+      [postId, result.insertId]
+    );
+  }
+
+  await connection.query(
+    'UPDATE blog_posts SET tags = ? WHERE id = ?',
+    [tags.length > 0 ? tags.map((tag) => tag.name).join(', ') : null, postId]
+  );
+};
+
+// Replaces each post's `tags` column with its tag entities ({ id, name, slug })
+export const attachTags = async (connection, posts) => {
+  if (posts.length === 0) {
+    return posts;
+  }
+
+  const [rows] = await connection.query(
+    `SELECT pt.postId, t.id, t.name, t.slug
+     FROM blog_post_tags pt
+     JOIN blog_tags t ON pt.tagId = t.id
+     WHERE pt.postId IN (?)
+     ORDER BY t.name`,
+    [posts.map((post) => post.id)]
+  );
+
+  for (const post of posts) {
+    post.tags = rows
+      .filter((row) => row.postId === post.id)
+      .map(({ id, name, slug }) => ({ id, name, slug }));
+  }
+
+  return posts;
+};
@@ -0,0 +1,95 @@
+// Helpers for admin bulk endpoints: target items by `ids` or by `filter`,
+// run the action for every item in one transaction, report per-item results.
+
+export const MAX_BULK_ITEMS = 500;
+
+// Parses { ids: [...] } or { filter: {...} } from the request body.
+// Filter values are turned into strings so they match the list query params.
+// `keys` are the filter keys that narrow the selection and `modifiers` the
+// ones that only adjust it (e.g. includeDuplicates); any other key is refused.
+// `baseFilter` holds just the modifiers: a filter whose WHERE clause equals
+// the one built from `baseFilter` selects everything and must be refused.
+export const parseBulkTarget = (body, { keys = [], modifiers = [] } = {}) => {
+  if (Array.isArray(body.ids)) {
+    const ids = [...new Set(body.ids.map((id) => parseInt(id)))];
+
+    if (ids.length === 0 || ids.some(isNaN)) {
+      return { error: 'ids must be a non-empty array of numeric IDs' };
+    }
+
+    if (ids.length > MAX_BULK_ITEMS) {
+      return { error: `A bulk request can target at most ${MAX_BULK_ITEMS} items` };
+    }
+
+    return { ids };
+  }
+
+  if (body.filter && typeof body.filter === 'object' && !Array.isArray(body.filter)) {
+    const unknown = Object.keys(body.filter).filter((key) => !keys.includes(key) && !modifiers.includes(key));
+
+    if (unknown.length > 0) {
+      return { error: `Unknown filter keys: ${unknown.join(', ')}`, allowed: [...keys, ...modifiers] };
+    }
+
+    // A filter without any narrowing key would target everything
+    if (!Object.keys(body.filter).some((key) => keys.includes(key))) {
+      return { error: `Filter needs at least one of: ${keys.join(', ')}` };
+    }
+
+    const filter = Object.fromEntries(Object.entries(body.filter).map(([key, value]) => [key, String(value)]));
+
+    return {
+      filter,
+      baseFilter: Object.fromEntries(Object.entries(filter).filter(([key]) => modifiers.includes(key)))
+    };
+  }
+
+  return { error: 'Provide either ids or a non-empty filter' };
+};
+
+// Resolves a filter to IDs with `query` (which must select `id`), refusing
+// filters that match more than MAX_BULK_ITEMS
+export const resolveFilterIds = async (connection, query, params) => {
+  const [rows] = await connection.query(`${query} LIMIT ?`, [...params, MAX_BULK_ITEMS + 1]);
+
+  if (rows.length > MAX_BULK_ITEMS) {
+    return { error: `Filter matches more than ${MAX_BULK_ITEMS} items, narrow it down` };
+  }
+
+  return { ids: rows.map((row) => row.id) };
+};
+
+// Runs `action(id)` for every ID inside one transaction. `action` returns
+// false when the item does not exist or { error } when it cannot be changed;
+// any thrown error rolls everything back.
+export const runBulk = async (connection, ids, action) => {
+  const results = [];
+
+  await connection.beginTransaction();
+
+  try {
+    for (const id of ids) {
+      const outcome = await action(id);
+
+      if (outcome && outcome.error) {
+        results.push({ id, success: false, error: outcome.error });
+      } else {
+        results.push(outcome ? { id, success: true } : { id, success: false, error: 'Not found' });
+      }
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+
+  return {
+    processed: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  };
+};
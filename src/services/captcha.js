@@ -0,0 +1,68 @@
+// Pluggable CAPTCHA verification.
+// A verifier is an async function (token, { ip }) => boolean. The default is
+// picked from CAPTCHA_PROVIDER; tests can swap it with setCaptchaVerifier().
+
+const VERIFY_URLS = {
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  hcaptcha: 'https://hcaptcha.com/siteverify',
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+};
+
+// A provider that does not answer in time counts as a failed check (fail
+// closed), so a slow provider cannot hold submissions open or let bots through
+const VERIFY_TIMEOUT_MS = parseInt(process.env.CAPTCHA_TIMEOUT_SECONDS || '5') * 1000;
+
+// Verifies against a provider's siteverify endpoint (same API for all three)
+const createHttpVerifier = (url) => async (token, { ip } = {}) => {
+  const body = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET || '', response: token });
+  if (ip) {
+    body.append('remoteip', ip);
+  }
+
+  const response = await fetch(url, { method: 'POST', body, signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS) });
+  const result = await response.json();
+  return result.success === true;
+};
+
+// Local stand-in: accepts only CAPTCHA_STUB_TOKEN
+const stubVerifier = async (token) => token === (process.env.CAPTCHA_STUB_TOKEN || 'stub-pass');
+
+const createDefaultVerifier = () => {
+  const provider = process.env.CAPTCHA_PROVIDER || 'none';
+
+  if (provider === 'stub') {
+    return stubVerifier;
+  }
+
+  if (VERIFY_URLS[provider]) {
+    return createHttpVerifier(VERIFY_URLS[provider]);
+  }
+
+  return null;
+};
+
+let verifier = createDefaultVerifier();
+
+export const setCaptchaVerifier = (fn) => {
+  verifier = fn;
+};
+
+export const isCaptchaEnabled = () => Boolean(verifier);
+
+// Returns true when CAPTCHA is disabled or the token is valid
+export const verifyCaptcha = async (token, context = {}) => {
+  if (!verifier) {
+    return true;
+  }
+
+  if (!token) {
+    return false;
+  }
+
+  try {
+    return await verifier(token, context);
+  } catch (error) {
+    console.error('Error verifying CAPTCHA:', error);
+    return false;
+  }
+};
@@ -0,0 +1,13 @@
+import pool from '../config/database.js';
+
+export const postalCodeRegex = /^\d{5}$/;
+
+// Returns the active service area covering a postal code, or null if out of area
+export const findServiceArea = async (postalCode) => {
+  const [rows] = await pool.execute(
+    'SELECT * FROM service_areas WHERE postalCode = ? AND active = 1',
+    [postalCode]
+  );
+
+  return rows[0] || null;
+};
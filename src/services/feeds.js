@@ -0,0 +1,169 @@
+import pool from '../config/database.js';
+import { visiblePostCondition } from './blogSchedule.js';
+
+// RSS 2.0, Atom and sitemap documents for the blog. Each document is built
+// once and kept in memory until invalidateFeeds() is called after a change
+// to blog posts or categories.
+
+const FEED_ITEMS = 50;
+
+const cache = new Map();
+let generation = 0;
+
+const siteUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+// Where this server is publicly reachable; feeds link to themselves with it
+const apiUrl = () => (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/+$/, '');
+const siteName = () => process.env.BUSINESS_NAME || 'Asiste Health Care';
+const postUrl = (slug) => `${siteUrl()}/blog/${encodeURIComponent(slug)}`;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+export const invalidateFeeds = () => {
+  generation += 1;
+  cache.clear();
+};
+
+// Returns the cached document for `key`, building it with `build` on a miss.
+// The pending build is cached so concurrent misses share one query. A build
+// started before invalidateFeeds() is dropped from the cache once it settles,
+// and so is a failed one.
+const cached = (key, build) => {
+  if (!cache.has(key)) {
+    const startedIn = generation;
+    const promise = build();
+
+    cache.set(key, promise);
+    promise.then(
+      () => {
+        if (generation !== startedIn && cache.get(key) === promise) {
+          cache.delete(key);
+        }
+      },
+      () => {
+        if (cache.get(key) === promise) {
+          cache.delete(key);
+        }
+      }
+    );
+  }
+  return cache.get(key);
+};
+
+const findCategory = async (slug) => {
+  const [rows] = await pool.execute(
+    'SELECT id, name, slug, description FROM blog_categories WHERE slug = ?',
+    [slug]
+  );
+  return rows[0] || null;
+};
+
+const findFeedPosts = async (categoryId = null) => {
+  const [rows] = await pool.query(
+    `SELECT bp.title, bp.slug, bp.excerpt, bp.createdAt, bp.updatedAt, c.name as category, a.name as authorName
+     FROM blog_posts bp
+     JOIN blog_categories c ON bp.categoryId = c.id
+     JOIN admins a ON bp.authorId = a.id
+     WHERE ${visiblePostCondition('bp')} ${categoryId ? 'AND bp.categoryId = ?' : ''}
+     ORDER BY bp.createdAt DESC
+     LIMIT ?`,
+    categoryId ? [categoryId, FEED_ITEMS] : [FEED_ITEMS]
+  );
+  return rows;
+};
+
+const buildRss = ({ title, description, link, selfUrl, posts }) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(description)}</description>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${posts.map((post) => `    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${escapeXml(postUrl(post.slug))}</link>
+      <guid isPermaLink="true">${escapeXml(postUrl(post.slug))}</guid>
+      <description>${escapeXml(post.excerpt)}</description>
+      <category>${escapeXml(post.category)}</category>
+      <dc:creator>${escapeXml(post.authorName)}</dc:creator>
+      <pubDate>${new Date(post.createdAt).toUTCString()}</pubDate>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+
+const buildAtom = ({ title, description, link, selfUrl, posts }) => {
+  const updated = posts.reduce(
+    (latest, post) => (new Date(post.updatedAt) > latest ? new Date(post.updatedAt) : latest),
+    new Date(0)
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link href="${escapeXml(link)}"/>
+  <link href="${escapeXml(selfUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(selfUrl)}</id>
+  <updated>${(posts.length > 0 ? updated : new Date()).toISOString()}</updated>
+${posts.map((post) => `  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link href="${escapeXml(postUrl(post.slug))}"/>
+    <id>${escapeXml(postUrl(post.slug))}</id>
+    <published>${new Date(post.createdAt).toISOString()}</published>
+    <updated>${new Date(post.updatedAt).toISOString()}</updated>
+    <author><name>${escapeXml(post.authorName)}</name></author>
+    <category term="${escapeXml(post.category)}"/>
+    <summary>${escapeXml(post.excerpt)}</summary>
+  </entry>`).join('\n')}
+</feed>
+`;
+};
+
+// Builds an RSS or Atom feed of the latest published posts, optionally for
+// one category (by slug). Returns null if the category does not exist.
+export const getFeed = async (format, categorySlug = null) => {
+  const category = categorySlug ? await findCategory(categorySlug) : null;
+
+  if (categorySlug && !category) {
+    return null;
+  }
+
+  return cached(`${format}:${categorySlug || ''}`, async () => {
+    const posts = await findFeedPosts(category ? category.id : null);
+    const selfUrl = `${apiUrl()}${category ? `/categories/${encodeURIComponent(category.slug)}` : ''}/${format === 'atom' ? 'atom' : 'feed'}.xml`;
+    const feed = {
+      title: category ? `${siteName()} - ${category.name}` : siteName(),
+      description: (category && category.description) || `${siteName()} blog`,
+      link: category ? `${siteUrl()}/blog?category=${encodeURIComponent(category.slug)}` : `${siteUrl()}/blog`,
+      selfUrl,
+      posts
+    };
+
+    return format === 'atom' ? buildAtom(feed) : buildRss(feed);
+  });
+};
+
+// Sitemap of every published post with its last modification date
+export const getSitemap = () => cached('sitemap', async () => {
+  const [rows] = await pool.query(
+    `SELECT bp.slug, bp.updatedAt
+     FROM blog_posts bp
+     WHERE ${visiblePostCondition('bp')}
+     ORDER BY bp.updatedAt DESC`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${rows.map((post) => `  <url>
+    <loc>${escapeXml(postUrl(post.slug))}</loc>
+    <lastmod>${new Date(post.updatedAt).toISOString()}</lastmod>
+  </url>`).join('\n')}
+</urlset>
+`;
+});
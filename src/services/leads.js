@@ -0,0 +1,44 @@
+import pool from '../config/database.js';
+
+// Repeat submissions within this many days are linked to the earlier lead
+const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS || '30');
+
+export const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Digits only, without the US country code, so "+1 (305) 555-0100" == "3055550100"
+export const normalizePhone = (phone) => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+};
+
+// Finds the primary lead a new submission duplicates, if any. Empty values
+// are not compared, or every lead without a phone would match.
+export const findRecentLead = async (normalizedEmail, normalizedPhone) => {
+  const matches = [];
+  const params = [];
+
+  if (normalizedEmail) {
+    matches.push('normalizedEmail = ?');
+    params.push(normalizedEmail);
+  }
+  if (normalizedPhone) {
+    matches.push('normalizedPhone = ?');
+    params.push(normalizedPhone);
+  }
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT id FROM contacts
+     WHERE duplicateOf IS NULL
+       AND (${matches.join(' OR ')})
+       AND lastSubmittedAt >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     ORDER BY createdAt DESC
+     LIMIT 1`,
+    [...params, DUPLICATE_WINDOW_DAYS]
+  );
+
+  return rows[0] || null;
+};
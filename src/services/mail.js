@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../config/database.js';
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates/email');
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS || '5');
+
+export const SUPPORTED_LOCALES = ['es', 'en'];
+const DEFAULT_LOCALE = 'es';
+
+const templateCache = new Map();
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Templates live in src/templates/email/<name>.html, or <name>.<locale>.html
+// for translated ones. The first line is "Subject: ...", the rest is the HTML
+// body. {{key}} placeholders are replaced with HTML-escaped values from
+// `data`, in the subject too.
+const loadTemplate = async (name, locale) => {
+  if (!/^[a-z0-9-]+$/.test(name) || (locale && !SUPPORTED_LOCALES.includes(locale))) {
+    throw new Error(`Invalid email template: ${name} (${locale})`);
+  }
+
+  const file = locale ? `${name}.${locale}.html` : `${name}.html`;
+
+  if (!templateCache.has(file)) {
+    const source = await fs.readFile(path.join(TEMPLATES_DIR, file), 'utf8');
+    const [firstLine, ...rest] = source.split('\n');
+
+    if (!firstLine.startsWith('Subject:')) {
+      throw new Error(`Email template ${file} is missing its Subject line`);
+    }
+
+    templateCache.set(file, {
+      subject: firstLine.slice('Subject:'.length).trim(),
+      html: rest.join('\n').trim()
+    });
+  }
+
+  return templateCache.get(file);
+};
+
+const fill = (text, data, escape) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => escape(data[key]));
+
+export const renderTemplate = async (name, data = {}, locale = null) => {
+  const template = await loadTemplate(name, locale);
+
+  return {
+    subject: fill(template.subject, data, (value) => String(value ?? '')),
+    html: fill(template.html, data, escapeHtml)
+  };
+};
+
+// Language for emails to a form submitter: an explicit `locale` field in the
+// body wins, then the Accept-Language header, then Spanish.
+export const resolveLocale = (req) => {
+  const requested = typeof req.body.locale === 'string' ? req.body.locale.slice(0, 2).toLowerCase() : null;
+
+  if (SUPPORTED_LOCALES.includes(requested)) {
+    return requested;
+  }
+
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+};
+
+export const formatDate = (date, locale) => date.toLocaleString(locale === 'en' ? 'en-US' : 'es-ES');
+
+// Listeners notified after an email is queued (the worker uses this to send right away)
+const queuedListeners = new Set();
+
+export const onEmailQueued = (listener) => {
+  queuedListeners.add(listener);
+  return () => queuedListeners.delete(listener);
+};
+
+// Renders a template and stores the message in the outbox. The mail worker
+// sends it and retries with backoff if sending fails, so callers never block
+// on SMTP and never lose a message when the mail server is down.
+export const queueEmail = async ({ to, template, data = {}, locale = null }) => {
+  const { subject, html } = await renderTemplate(template, data, locale);
+
+  const [result] = await pool.execute(
+    `INSERT INTO email_outbox (template, recipient, subject, html, status, attempts, maxAttempts, nextAttemptAt, createdAt, updatedAt)
+     VALUES (?, ?, ?, ?, 'pending', 0, ?, NOW(), NOW(), NOW())`,
+    [template, to, subject, html, MAX_ATTEMPTS]
+  );
+
+  queuedListeners.forEach((listener) => listener(result.insertId));
+
+  return result.insertId;
+};
+
+// Same as queueEmail, but logs instead of throwing so a mail problem never fails the request
+export const queueEmailSafely = async (message) => {
+  try {
+    return await queueEmail(message);
+  } catch (error) {
+    console.error(`Error queueing ${message.template} email:`, error);
+    return null;
+  }
+};
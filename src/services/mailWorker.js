@@ -0,0 +1,126 @@
+import pool from '../config/database.js';
+import transporter, { isMailConfigured, mailFrom } from '../config/mailer.js';
+import { onEmailQueued } from './mail.js';
+
+const INTERVAL_MS = parseInt(process.env.MAIL_WORKER_INTERVAL_SECONDS || '30') * 1000;
+const BATCH_SIZE = 10;
+// Messages stuck in "sending" this long (e.g. the process died mid-send) are retried
+const STALE_SENDING_MINUTES = 10;
+
+let timer = null;
+let running = false;
+let rerun = false;
+let unsubscribe = null;
+
+// Exponential backoff: 1, 2, 4, 8... minutes, capped at 6 hours
+const backoffMinutes = (attempts) => Math.min(2 ** (attempts - 1), 360);
+
+const sendOne = async (message) => {
+  // Claim the message so a concurrent run cannot send it twice
+  const [claim] = await pool.execute(
+    "UPDATE email_outbox SET status = 'sending', updatedAt = NOW() WHERE id = ? AND status = 'pending'",
+    [message.id]
+  );
+
+  if (claim.affectedRows === 0) {
+    return;
+  }
+
+  try {
+    await transporter.sendMail({
+      from: mailFrom(),
+      to: message.recipient,
+      subject: message.subject,
+      html: message.html
+    });
+
+    await pool.execute(
+      "UPDATE email_outbox SET status = 'sent', attempts = attempts + 1, lastError = NULL, sentAt = NOW(), updatedAt = NOW() WHERE id = ?",
+      [message.id]
+    );
+  } catch (error) {
+    const attempts = message.attempts + 1;
+    const failed = attempts >= message.maxAttempts;
+
+    console.error(`Error sending email ${message.id} (attempt ${attempts}/${message.maxAttempts}):`, error.message);
+
+    await pool.execute(
+      `UPDATE email_outbox
+       SET status = ?, attempts = ?, lastError = ?,
+           nextAttemptAt = DATE_ADD(NOW(), INTERVAL ? MINUTE), updatedAt = NOW()
+       WHERE id = ?`,
+      [failed ? 'failed' : 'pending', attempts, String(error.message).slice(0, 1000), backoffMinutes(attempts), message.id]
+    );
+  }
+};
+
+// Sends every due message. Runs are serialized; a request made during a run
+// triggers one more run afterwards.
+export const processOutbox = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true;
+
+  try {
+    await pool.execute(
+      `UPDATE email_outbox SET status = 'pending', updatedAt = NOW()
+       WHERE status = 'sending' AND updatedAt < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [STALE_SENDING_MINUTES]
+    );
+
+    let batch;
+    do {
+      [batch] = await pool.query(
+        `SELECT * FROM email_outbox
+         WHERE status = 'pending' AND nextAttemptAt <= NOW()
+         ORDER BY nextAttemptAt ASC
+         LIMIT ?`,
+        [BATCH_SIZE]
+      );
+
+      for (const message of batch) {
+        await sendOne(message);
+      }
+    } while (batch.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Error processing email outbox:', error);
+  } finally {
+    running = false;
+  }
+
+  if (rerun) {
+    rerun = false;
+    await processOutbox();
+  }
+};
+
+export const startMailWorker = () => {
+  if (timer) {
+    return;
+  }
+
+  if (!isMailConfigured()) {
+    console.warn('📭 Mail is not configured (SMTP_HOST or MAIL_TRANSPORT=json); queued emails will wait in the outbox');
+    return;
+  }
+
+  unsubscribe = onEmailQueued(() => {
+    processOutbox();
+  });
+  timer = setInterval(processOutbox, INTERVAL_MS);
+  processOutbox();
+};
+
+export const stopMailWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+};
@@ -0,0 +1,143 @@
+import sharp from 'sharp';
+import pool from '../config/database.js';
+import { generateToken } from './tokens.js';
+import { getMediaStorage } from './mediaStorage.js';
+
+export const MEDIA_MAX_UPLOAD_BYTES = parseFloat(process.env.MEDIA_MAX_UPLOAD_MB || '5') * 1024 * 1024;
+
+// Largest image (width x height) that is decoded. A small compressed file can
+// declare huge dimensions, so this bounds memory use rather than upload size.
+const SHARP_OPTIONS = { limitInputPixels: 40_000_000 };
+
+// Accepted formats, as detected from the file contents (not the client's
+// Content-Type), with the extension and type they are stored under
+const FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  png: { extension: 'png', mimeType: 'image/png' },
+  webp: { extension: 'webp', mimeType: 'image/webp' },
+  gif: { extension: 'gif', mimeType: 'image/gif' }
+};
+
+// Widths of the responsive variants; only those narrower than the original are made
+const VARIANT_WIDTHS = [320, 640, 1024, 1600];
+
+export const ACCEPTED_MIME_TYPES = Object.values(FORMATS).map((format) => format.mimeType);
+
+// Turns the JSON variants column into an array
+export const toMedia = (row) => ({
+  ...row,
+  variants: typeof row.variants === 'string' ? JSON.parse(row.variants) : (row.variants || [])
+});
+
+// Stores an uploaded image and its resized variants and records it in the
+// media table. Returns the media row, or { error } if the file is not an
+// accepted image.
+export const createMedia = async ({ buffer, originalName, altText, adminId }) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, SHARP_OPTIONS).metadata();
+  } catch {
+    return { error: 'File is not a valid image' };
+  }
+
+  const format = FORMATS[metadata.format];
+
+  if (!format) {
+    return { error: `Unsupported image type, use one of: ${ACCEPTED_MIME_TYPES.join(', ')}` };
+  }
+
+  const storage = getMediaStorage();
+  const now = new Date();
+  const base = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${generateToken(8)}`;
+  const key = `${base}.${format.extension}`;
+
+  // Re-encoding applies the EXIF orientation and drops metadata such as GPS
+  // location. GIFs are kept as uploaded so animations survive.
+  const animated = metadata.format === 'gif';
+  let original;
+  let info;
+
+  try {
+    ({ data: original, info } = animated
+      ? { data: buffer, info: { width: metadata.width, height: metadata.height } }
+      : await sharp(buffer, SHARP_OPTIONS).rotate().toBuffer({ resolveWithObject: true }));
+  } catch {
+    return { error: 'File is not a valid image' };
+  }
+
+  const saved = [key];
+
+  try {
+    const url = await storage.save(key, original, format.mimeType);
+    const variants = [];
+
+    if (!animated) {
+      for (const width of VARIANT_WIDTHS.filter((variantWidth) => variantWidth < info.width)) {
+        const variantKey = `${base}-${width}w.${format.extension}`;
+        const { data, info: variantInfo } = await sharp(original, SHARP_OPTIONS)
+          .resize({ width })
+          .toBuffer({ resolveWithObject: true });
+
+        saved.push(variantKey);
+        variants.push({
+          key: variantKey,
+          url: await storage.save(variantKey, data, format.mimeType),
+          width: variantInfo.width,
+          height: variantInfo.height
+        });
+      }
+    }
+
+    const [result] = await pool.execute(
+      `INSERT INTO media (filename, storageKey, url, mimeType, size, width, height, altText, variants, uploadedBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        originalName, key, url, format.mimeType, original.length, info.width, info.height,
+        altText || null, JSON.stringify(variants), adminId
+      ]
+    );
+
+    return getMedia(result.insertId);
+  } catch (error) {
+    // Do not leave orphaned files behind
+    await Promise.all(saved.map((savedKey) => storage.remove(savedKey).catch(() => {})));
+    throw error;
+  }
+};
+
+export const getMedia = async (mediaId) => {
+  const [rows] = await pool.execute(
+    `SELECT m.*, a.name as uploadedByName
+     FROM media m
+     LEFT JOIN admins a ON m.uploadedBy = a.id
+     WHERE m.id = ?`,
+    [mediaId]
+  );
+
+  return rows.length > 0 ? toMedia(rows[0]) : null;
+};
+
+// Removes the files of a media item; the caller deletes the row
+export const removeMediaFiles = async (media) => {
+  const storage = getMediaStorage();
+  await Promise.all([media.storageKey, ...media.variants.map((variant) => variant.key)].map((key) => storage.remove(key)));
+};
+
+// Adds a `media` object ({ id, url, altText, width, height, variants }) to
+// each post from its imageId, or null when it has none
+export const attachMedia = async (connection, posts) => {
+  const ids = [...new Set(posts.map((post) => post.imageId).filter(Boolean))];
+  const [rows] = ids.length > 0
+    ? await connection.query(
+      'SELECT id, url, altText, width, height, variants FROM media WHERE id IN (?)',
+      [ids]
+    )
+    : [[]];
+
+  for (const post of posts) {
+    const row = rows.find((media) => media.id === post.imageId);
+    post.media = row ? toMedia(row) : null;
+  }
+
+  return posts;
+};
@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pluggable storage for media uploads.
+// A storage is an object with:
+//   save(key, buffer, contentType) => Promise<url>   store a file under `key`
+//   remove(key) => Promise<void>                      delete it (missing files are ignored)
+// The default writes to MEDIA_UPLOAD_DIR and is served at MEDIA_PUBLIC_URL;
+// another backend (S3, a CDN...) can be plugged in with setMediaStorage().
+// Returned URLs must be absolute: they are copied into posts that the
+// frontend renders from its own origin.
+
+export const MEDIA_UPLOAD_DIR = path.resolve(process.env.MEDIA_UPLOAD_DIR || 'uploads');
+// A path this server serves uploads at, or an absolute URL they are served from
+export const MEDIA_PUBLIC_URL = (process.env.MEDIA_PUBLIC_URL || '/uploads').replace(/\/+$/, '');
+
+const apiUrl = () => (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/+$/, '');
+
+export const createLocalStorage = (directory = MEDIA_UPLOAD_DIR, publicUrl = MEDIA_PUBLIC_URL) => ({
+  save: async (key, buffer) => {
+    const file = path.join(directory, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${publicUrl.startsWith('/') ? apiUrl() : ''}${publicUrl}/${key}`;
+  },
+
+  remove: async (key) => {
+    await fs.rm(path.join(directory, key), { force: true });
+  }
+});
+
+let storage = createLocalStorage();
+
+export const getMediaStorage = () => storage;
+
+export const setMediaStorage = (next) => {
+  storage = next;
+};
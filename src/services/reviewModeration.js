@@ -0,0 +1,169 @@
+import pool from '../config/database.js';
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'hidden'];
+
+// WHERE clause for admin review lists.
+// ?status=pending|approved|rejected|hidden|all (default all)
+// ?verified=true|false|all (default true: moderators only see confirmed reviews)
+// ?flagged=true|false (content screening matches)
+// The reviews table is referenced through the `r` alias.
+export const buildReviewFilters = (query) => {
+  const conditions = [];
+  const params = [];
+  const { status, verified = 'true' } = query;
+
+  if (status && status !== 'all') {
+    if (!REVIEW_STATUSES.includes(status)) {
+      return { error: 'Invalid status filter' };
+    }
+    conditions.push('r.status = ?');
+    params.push(status);
+  }
+
+  if (verified === 'true') {
+    conditions.push('r.verified = 1');
+  } else if (verified === 'false') {
+    conditions.push('r.verified = 0');
+  } else if (verified !== 'all') {
+    return { error: 'Invalid verified filter' };
+  }
+
+  if (query.flagged === 'true') {
+    conditions.push('r.flagged = 1');
+  } else if (query.flagged === 'false') {
+    conditions.push('r.flagged = 0');
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Moves a review to a new moderation status and records who did it and when,
+// using a connection the caller has already opened a transaction on.
+// `approved` is kept in sync for clients that still read the old flag.
+// Returns false if the review does not exist, or { error } if it cannot be
+// approved because its email was never confirmed.
+export const applyModeration = async (connection, reviewId, status, adminId, reason = null) => {
+  const [rows] = await connection.execute(
+    'SELECT status, verified FROM reviews WHERE id = ? FOR UPDATE',
+    [reviewId]
+  );
+
+  if (rows.length === 0) {
+    return false;
+  }
+
+  // Unconfirmed reviews are purged when their link expires, so they must
+  // never become public
+  if (status === 'approved' && !rows[0].verified) {
+    return { error: 'Review email has not been confirmed' };
+  }
+
+  await connection.execute(
+    `UPDATE reviews
+     SET status = ?, approved = ?, rejectionReason = ?, moderatedBy = ?, moderatedAt = NOW(), updatedAt = NOW()
+     WHERE id = ?`,
+    [status, status === 'approved' ? 1 : 0, status === 'rejected' ? reason : null, adminId, reviewId]
+  );
+
+  await connection.execute(
+    `INSERT INTO review_moderation_log (reviewId, adminId, fromStatus, toStatus, reason, createdAt)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [reviewId, adminId, rows[0].status, status, reason]
+  );
+
+  return true;
+};
+
+// Same as applyModeration in its own transaction.
+// Returns the updated review, null if it does not exist, or { error }.
+export const moderateReview = async (reviewId, status, adminId, reason = null) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const outcome = await applyModeration(connection, reviewId, status, adminId, reason);
+
+    if (!outcome || outcome.error) {
+      await connection.rollback();
+      return outcome || null;
+    }
+
+    await connection.commit();
+
+    const [updated] = await connection.execute(
+      `SELECT r.*, a.name as moderatorName
+       FROM reviews r
+       LEFT JOIN admins a ON r.moderatedBy = a.id
+       WHERE r.id = ?`,
+      [reviewId]
+    );
+
+    return updated[0];
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Deletes a review and logs the deletion, using a connection the caller has
+// already opened a transaction on. The log, including this entry, outlives
+// the review, so getModerationHistory() still returns it by ID.
+// Returns false if the review does not exist.
+export const applyDeletion = async (connection, reviewId, adminId) => {
+  const [rows] = await connection.execute(
+    'SELECT status FROM reviews WHERE id = ? FOR UPDATE',
+    [reviewId]
+  );
+
+  if (rows.length === 0) {
+    return false;
+  }
+
+  await connection.execute(
+    `INSERT INTO review_moderation_log (reviewId, adminId, fromStatus, toStatus, createdAt)
+     VALUES (?, ?, ?, 'deleted', NOW())`,
+    [reviewId, adminId, rows[0].status]
+  );
+
+  await connection.execute('DELETE FROM reviews WHERE id = ?', [reviewId]);
+
+  return true;
+};
+
+// Same as applyDeletion in its own transaction
+export const deleteReview = async (reviewId, adminId) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const deleted = await applyDeletion(connection, reviewId, adminId);
+
+    await connection.commit();
+    return deleted;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+export const getModerationHistory = async (reviewId) => {
+  const [rows] = await pool.execute(
+    `SELECT l.id, l.fromStatus, l.toStatus, l.reason, l.createdAt, l.adminId, a.name as adminName
+     FROM review_moderation_log l
+     LEFT JOIN admins a ON l.adminId = a.id
+     WHERE l.reviewId = ?
+     ORDER BY l.createdAt DESC, l.id DESC`,
+    [reviewId]
+  );
+
+  return rows;
+};
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Screens review text for abusive language and personal or health information.
+// Detectors and their action ("flag" keeps the text, "mask" replaces the match)
+// are configured in src/config/screening/config.json, or the file named by
+// REVIEW_SCREENING_CONFIG. Word lists are plain text files next to the config.
+
+const CONFIG_PATH = process.env.REVIEW_SCREENING_CONFIG
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/screening/config.json');
+
+const MASK = '***';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const loadWordList = (file) => fs.readFileSync(path.join(path.dirname(CONFIG_PATH), file), 'utf8')
+  .split('\n')
+  .map((line) => line.trim())
+  .filter((line) => line && !line.startsWith('#'));
+
+// Whole-word match for any word in the list; longest first so phrases win
+const wordListPattern = (words) => {
+  const alternatives = [...words]
+    .sort((a, b) => b.length - a.length)
+    .map((word) => escapeRegex(word).replace(/\s+/g, '\\s+'));
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+// Built-in pattern detectors. Order matters: ID numbers run before phones so
+// an SSN is not reported as a phone number.
+const PATTERNS = {
+  email: /[^\s@,;:<>()]+@[^\s@,;:<>()]+\.[a-z]{2,}/gi,
+  // US SSN, Medicare Beneficiary Identifier, and any other long run of digits
+  idNumber: /\b\d{3}-\d{2}-\d{4}\b|\b[1-9][A-Z][A-Z0-9]\d[A-Z][A-Z0-9]\d[A-Z]{2}\d{2}\b|\b\d{11,}\b/g,
+  phone: /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g
+};
+
+const DETECTOR_ORDER = ['profanity', 'email', 'idNumber', 'phone', 'medical'];
+
+const buildDetectors = () => {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+
+  return DETECTOR_ORDER
+    .filter((name) => config.detectors[name] && config.detectors[name].enabled)
+    .map((name) => {
+      const options = config.detectors[name];
+      const pattern = options.wordList ? wordListPattern(loadWordList(options.wordList)) : PATTERNS[name];
+
+      if (!pattern) {
+        throw new Error(`Unknown screening detector: ${name}`);
+      }
+
+      return {
+        name,
+        action: options.action === 'mask' ? 'mask' : 'flag',
+        pattern
+      };
+    });
+};
+
+const detectors = buildDetectors();
+
+// Runs every enabled detector over `text`.
+// Returns the (possibly masked) text and one reason per detector that matched.
+export const screenText = (text) => {
+  let screened = text;
+  const reasons = [];
+
+  for (const detector of detectors) {
+    const matches = screened.match(detector.pattern);
+
+    if (!matches) {
+      continue;
+    }
+
+    reasons.push({
+      detector: detector.name,
+      action: detector.action,
+      count: matches.length
+    });
+
+    if (detector.action === 'mask') {
+      screened = screened.replace(detector.pattern, MASK);
+    }
+  }
+
+  return {
+    text: screened,
+    masked: screened !== text,
+    flagged: reasons.length > 0,
+    reasons
+  };
+};
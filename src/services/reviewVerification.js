@@ -0,0 +1,39 @@
+import pool from '../config/database.js';
+
+export const REVIEW_VERIFICATION_TTL_HOURS = parseInt(process.env.REVIEW_VERIFICATION_TTL_HOURS || '72');
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+// Deletes reviews whose email was never confirmed before the link expired.
+// Only reviews still waiting for moderation are removed.
+export const purgeExpiredReviews = async () => {
+  try {
+    const [result] = await pool.execute(
+      "DELETE FROM reviews WHERE verified = 0 AND status = 'pending' AND verificationExpiresAt < NOW()"
+    );
+
+    if (result.affectedRows > 0) {
+      console.log(`🧹 Deleted ${result.affectedRows} unconfirmed reviews`);
+    }
+  } catch (error) {
+    console.error('Error purging unconfirmed reviews:', error);
+  }
+};
+
+export const startReviewCleanup = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(purgeExpiredReviews, CLEANUP_INTERVAL_MS);
+  purgeExpiredReviews();
+};
+
+export const stopReviewCleanup = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
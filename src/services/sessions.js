@@ -0,0 +1,132 @@
+import jwt from 'jsonwebtoken';
+import pool from '../config/database.js';
+import { generateToken, hashToken } from './tokens.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7');
+
+const generateRefreshToken = () => generateToken(48);
+
+const signAccessToken = (admin, sessionId) => jwt.sign(
+  {
+    id: admin.id,
+    username: admin.username,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    sid: sessionId
+  },
+  process.env.JWT_SECRET || 'fallback-secret',
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Opens a new session for an admin and returns its access/refresh token pair
+export const createSession = async (admin, { userAgent, ip } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const [result] = await pool.execute(
+    `INSERT INTO admin_sessions (adminId, refreshTokenHash, userAgent, ip, expiresAt, createdAt, lastUsedAt)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW(), NOW())`,
+    [admin.id, hashToken(refreshToken), userAgent ? userAgent.slice(0, 500) : null, ip || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return {
+    token: signAccessToken(admin, result.insertId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Exchanges a refresh token for a new token pair. The presented token is
+// replaced, so each refresh token works once. Presenting an already rotated
+// token means it leaked, and the whole session is revoked.
+// Returns null when the token is unknown, expired or revoked.
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const [rows] = await pool.execute(
+    `SELECT s.id, s.refreshTokenHash, s.revokedAt, s.expiresAt < NOW() AS expired,
+            a.id AS adminId, a.username, a.email, a.name, a.role, a.active
+     FROM admin_sessions s
+     JOIN admins a ON s.adminId = a.id
+     WHERE s.refreshTokenHash = ? OR s.previousTokenHash = ?`,
+    [tokenHash, tokenHash]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const session = rows[0];
+
+  if (session.refreshTokenHash !== tokenHash) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  if (session.revokedAt || session.expired || !session.active) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Only rotate if the presented token is still the current one. Losing the
+  // race to a concurrent refresh with the same token is treated as reuse.
+  const [result] = await pool.execute(
+    `UPDATE admin_sessions
+     SET previousTokenHash = refreshTokenHash, refreshTokenHash = ?, lastUsedAt = NOW()
+     WHERE id = ? AND refreshTokenHash = ? AND revokedAt IS NULL`,
+    [hashToken(newRefreshToken), session.id, tokenHash]
+  );
+
+  if (result.affectedRows === 0) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const admin = {
+    id: session.adminId,
+    username: session.username,
+    email: session.email,
+    name: session.name,
+    role: session.role
+  };
+
+  return {
+    token: signAccessToken(admin, session.id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+export const revokeSession = async (sessionId) => {
+  await pool.execute(
+    'UPDATE admin_sessions SET revokedAt = NOW() WHERE id = ? AND revokedAt IS NULL',
+    [sessionId]
+  );
+};
+
+// Revokes every open session of an admin, optionally keeping one (the caller's)
+export const revokeAllSessions = async (adminId, exceptSessionId = null) => {
+  const [result] = await pool.execute(
+    `UPDATE admin_sessions SET revokedAt = NOW()
+     WHERE adminId = ? AND revokedAt IS NULL AND id != ?`,
+    [adminId, exceptSessionId || 0]
+  );
+
+  return result.affectedRows;
+};
+
+// Looks up the live state of a session and its admin for request authentication
+export const findActiveSession = async (sessionId, adminId) => {
+  const [rows] = await pool.execute(
+    `SELECT a.id, a.username, a.email, a.name, a.role
+     FROM admin_sessions s
+     JOIN admins a ON s.adminId = a.id
+     WHERE s.id = ? AND s.adminId = ? AND s.revokedAt IS NULL
+       AND s.expiresAt > NOW() AND a.active = 1`,
+    [sessionId, adminId]
+  );
+
+  return rows[0] || null;
+};
@@ -0,0 +1,27 @@
+import pool from '../config/database.js';
+
+// Admin-editable settings with their defaults. Values are stored as JSON in `settings`.
+export const SETTING_DEFAULTS = {
+  'autoresponder.contact.enabled': true,
+  'autoresponder.review.enabled': true
+};
+
+export const getSetting = async (key) => {
+  const [rows] = await pool.execute('SELECT value FROM settings WHERE `key` = ?', [key]);
+  return rows.length > 0 ? JSON.parse(rows[0].value) : SETTING_DEFAULTS[key];
+};
+
+export const getSettings = async (keys) => {
+  const values = {};
+  for (const key of keys) {
+    values[key] = await getSetting(key);
+  }
+  return values;
+};
+
+export const setSetting = async (key, value) => {
+  await pool.execute(
+    'INSERT INTO settings (`key`, value, updatedAt) VALUES (?, ?, NOW()) ON DUPLICATE KEY UPDATE value = VALUES(value), updatedAt = NOW()',
+    [key, JSON.stringify(value)]
+  );
+};
@@ -0,0 +1,7 @@
+import crypto from 'crypto';
+
+// Random URL-safe token for links sent by email or handed to clients
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Tokens are only ever stored as SHA-256 hashes
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');